@@ -1,14 +1,18 @@
-const { Telegraf } = require("telegraf");
+const { Telegraf, Markup } = require("telegraf");
 const { spawn, exec } = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const express = require("express");
 const readline = require('readline');
+const QRCode = require("qrcode");
 
 // Bot token management
 let BOT_TOKEN = process.env.BOT_TOKEN;
 const REPO_URL = "https://github.com/adamfarreledu-cloud/java.git";
 const REPO_DIR = "./java";
+// Every Telegram user gets an isolated workspace (config, session, exports, temp)
+const WORKSPACES_DIR = process.env.WORKSPACES_DIR || "./workspaces";
 
 // Initialize bot (will be set after token is confirmed)
 let bot;
@@ -37,6 +41,20 @@ const messageQueue = new Map(); // userId -> array of pending messages
 const rateLimitDelay = 2000; // 2 seconds between messages
 const processingQueue = new Set(); // Track which users are being processed
 
+// Longest choice list rendered in a prompt message
+const MAX_PROMPT_CHOICES = 50;
+// Longest choice list rendered as inline keyboard buttons
+const MAX_BUTTON_CHOICES = 10;
+// Dialogs per page in the channel picker
+const PICKER_PAGE_SIZE = 8;
+// Dialog type filters of the channel picker (types from getDialogType)
+const PICKER_FILTERS = [
+    ["all", "🌐 All"],
+    ["Channel", "📢 Channels"],
+    ["Group", "👥 Groups"],
+    ["User", "👤 Users"],
+];
+
 // Message spam prevention
 const sentMessages = new Map(); // userId -> Set of message hashes
 const messageHashes = new Map(); // userId -> last 100 message hashes for cleanup
@@ -46,6 +64,10 @@ const SpeedMonitor = require('./speed-monitor');
 const speedMonitor = new SpeedMonitor();
 const speedMonitorIntervals = new Map(); // userId -> intervalId for speed updates
 
+// Durable storage for sessions and job progress across restarts
+const SessionStore = require('./session-store');
+const sessionStore = new SessionStore();
+
 // Bot states
 const STATES = {
     IDLE: "idle",
@@ -54,13 +76,27 @@ const STATES = {
     AWAITING_API_HASH: "awaiting_api_hash",
     AWAITING_PHONE: "awaiting_phone",
     AWAITING_OTP: "awaiting_otp",
+    AWAITING_PASSWORD: "awaiting_password",
+    AWAITING_SESSION_STRING: "awaiting_session_string",
     AWAITING_CHANNEL: "awaiting_channel",
     AWAITING_OPTION: "awaiting_option",
     AWAITING_DESTINATION: "awaiting_destination",
     PROCESSING: "processing",
     AWAITING_CONTINUATION: "awaiting_continuation",
+    INTERRUPTED: "interrupted",
 };
 
+// States that need a running CLI process, so a restart interrupts them
+const CLI_STATES = [
+    STATES.AWAITING_PHONE,
+    STATES.AWAITING_OTP,
+    STATES.AWAITING_PASSWORD,
+    STATES.AWAITING_CHANNEL,
+    STATES.AWAITING_OPTION,
+    STATES.AWAITING_DESTINATION,
+    STATES.PROCESSING,
+];
+
 // Progress tracking for web dashboard
 let globalProgress = {
     status: "idle",
@@ -147,12 +183,179 @@ function getUserSession(userId) {
             downloadErrors: [],
             uploadErrors: [],
             isProcessing: false,
-            currentChannel: null
+            currentChannel: null,
+            pendingPrompt: null,
+            chatId: null,
+            job: null,
+            autoAnswers: null,
+            resuming: false,
+            buttonToken: null,
+            loginMethod: null,
+            qrMessageId: null,
+            picker: null
         });
     }
     return userSessions.get(userId);
 }
 
+// Save the durable part of a user's session and job progress
+function persistSession(userId) {
+    const session = userSessions.get(userId);
+    if (!session) return;
+
+    sessionStore.set(userId, {
+        chatId: session.chatId,
+        state: session.state,
+        phone: session.phone,
+        channel: session.channel,
+        option: session.option,
+        destination: session.destination,
+        // Only a reference, the API credentials stay in the workspace config
+        workspace: session.apiId && session.apiHash ? getWorkspacePath(userId) : null,
+        loginMethod: session.loginMethod,
+        currentChannel: session.currentChannel,
+        filesDownloaded: session.filesDownloaded,
+        filesUploaded: session.filesUploaded,
+        totalFiles: session.totalFiles,
+        currentBatch: session.currentBatch,
+        totalBatches: session.totalBatches,
+        sessionStartTime: session.sessionStartTime,
+        job: session.job,
+        stats: sessionStats.get(userId) || null,
+        fileSizes: fileSizes.get(userId) || null,
+        errorCounts: errorCounts.get(userId) || null,
+        completedBatches: completedBatches.get(userId) || 0,
+    });
+}
+
+// Save every known session right away (used on shutdown)
+function persistAllSessions() {
+    for (const userId of userSessions.keys()) {
+        persistSession(userId);
+    }
+    sessionStore.flush();
+}
+
+// Minimal stand-in for a Telegraf context, for messages sent outside an update
+function createChatContext(userId, chatId) {
+    return {
+        from: { id: userId },
+        chat: { id: chatId },
+        reply: (text, extra) => bot.telegram.sendMessage(chatId, text, extra),
+    };
+}
+
+// Describe an interrupted job for the restart notice
+function describeInterruptedJob(userId, session) {
+    if (!session.job || session.job.finished) {
+        return "your login/setup";
+    }
+
+    const stats = sessionStats.get(userId) || {};
+    return `the job for ${session.job.channelName || session.job.channelId}` +
+        ` (✅ ${stats.downloaded || 0} downloaded, ⬆️ ${stats.uploaded || 0} uploaded` +
+        `${stats.total ? ` of ${stats.total}` : ""})`;
+}
+
+// Rebuild sessions saved before the last shutdown and tell users whose
+// work was cut off that they can resume it
+async function restoreSessions() {
+    const records = sessionStore.load();
+
+    for (const [key, record] of Object.entries(records)) {
+        const userId = Number(key);
+        const session = getUserSession(userId);
+        const { stats, fileSizes: sizes, errorCounts: errors, completedBatches: batches, workspace, ...fields } = record;
+
+        Object.assign(session, fields, readWorkspaceCredentials(workspace));
+        if (stats) sessionStats.set(userId, stats);
+        if (sizes) fileSizes.set(userId, sizes);
+        if (errors) errorCounts.set(userId, errors);
+        if (batches) completedBatches.set(userId, batches);
+
+        if (!CLI_STATES.includes(session.state)) continue;
+
+        // The CLI process died with the old bot instance
+        session.state = STATES.INTERRUPTED;
+        session.isProcessing = false;
+        persistSession(userId);
+
+        if (!session.chatId) continue;
+
+        try {
+            await bot.telegram.sendMessage(
+                session.chatId,
+                `♻️ The bot was restarted and interrupted ${describeInterruptedJob(userId, session)}.\n\n` +
+                "Resume with your saved credentials, or start from scratch?",
+                buildKeyboard(session, "resume", [["🔄 Resume", "yes"], ["🆕 Start over", "no"]]),
+            );
+        } catch (error) {
+            console.error(`❌ Could not notify user ${userId} about the restart:`, error.message);
+        }
+    }
+}
+
+// Answers that replay an interrupted job's configuration without asking again
+function buildResumeAnswers(job) {
+    // Log in with the session saved in config.json
+    const answers = { loginMethod: "otp" };
+    if (!job || job.finished) return answers;
+
+    const filters = job.filters || {};
+    const extraTargets = (job.targetChannelIds || []).slice(1);
+    const filterAnswers = { useFilters: job.filters ? "y" : "n", filterContent: filters.content || "any" };
+    FILTER_FIELDS.forEach((field) => {
+        filterAnswers[field.prompt] = filters[field.key] || "-";
+    });
+
+    return {
+        ...answers,
+        ...filterAnswers,
+        sourceLink: job.channelId,
+        downloadMode: job.downloadMode,
+        startMessageId: job.startFromMessageId,
+        messageIds: job.messageIds || undefined,
+        uploadMode: job.uploadMode ? "y" : "n",
+        targetSearch: "n",
+        targetChannel: job.targetChannelId,
+        // Asked once per extra target, answers are replayed in order
+        addTarget: [...extraTargets.map(() => "y"), "n"],
+        extraTarget: extraTargets,
+        followMode: job.followMode ? "y" : "n",
+        syncEdits: job.syncEdits ? "y" : "n",
+        syncDeletes: job.syncDeletes ? "y" : "n",
+        transferMode: job.transferMode || undefined,
+        hideSender: job.hideSender ? "y" : "n",
+        useCaptionRules: job.captionRules ? "y" : "n",
+        captionRules: job.captionRules || undefined,
+    };
+}
+
+// Restart the CLI for an interrupted session, continuing its last job
+function resumeSession(userId, ctx) {
+    const session = getUserSession(userId);
+
+    if (!session.apiId || !session.apiHash) {
+        session.state = STATES.IDLE;
+        ctx.reply("❌ No saved credentials to resume with. Use /start to begin again.");
+        return;
+    }
+
+    killUserProcess(userId);
+    session.autoAnswers = buildResumeAnswers(session.job);
+    session.resuming = Boolean(session.job && !session.job.finished);
+    session.state = STATES.PROCESSING;
+    session.isProcessing = true;
+    session.pendingPrompt = null;
+
+    ctx.reply(
+        session.resuming
+            ? `🔄 Resuming ${session.job.channelName || session.job.channelId}...`
+            : "🔄 Restarting with your saved credentials...",
+    );
+    spawnCliProcess(userId, ctx, { resume: true });
+}
+
 // Update global progress (called when bot processes tasks)
 function updateProgress(status, task, completed = 0, total = 100) {
     globalProgress = {
@@ -314,179 +517,745 @@ function stopProgressTimer(userId) {
     }
 }
 
-// Enhanced CLI output parsing for accurate progress tracking
-function trackFileProgress(userId, output) {
-    const session = getUserSession(userId);
-    let stats = sessionStats.get(userId) || {
-        downloaded: 0,
-        uploaded: 0,
-        remaining: 0,
-        total: 0,
-        completedBatches: 0,
-        currentBatch: 1,
-        errors: [],
-        downloadedFiles: [],
-        uploadedFiles: [],
-        incompleteFiles: []
-    };
+// Get or create per-user statistics for the running job
+function getSessionStats(userId) {
+    if (!sessionStats.has(userId)) {
+        sessionStats.set(userId, {
+            downloaded: 0,
+            uploaded: 0,
+            forwarded: 0,
+            remaining: 0,
+            total: 0,
+            completedBatches: 0,
+            currentBatch: 1,
+            errors: [],
+            downloadedFiles: [],
+            uploadedFiles: [],
+            incompleteFiles: []
+        });
+    }
+    return sessionStats.get(userId);
+}
 
-    // Parse total files from CLI output
-    if (output.includes('Ultra-processing') && output.includes('messages')) {
-        const totalMatch = output.match(/Ultra-processing\s+(\d+)\/\d+\s+messages/) || 
-                          output.match(/Ultra-processing\s+(\d+)\s+messages/);
-        if (totalMatch) {
-            const total = parseInt(totalMatch[1]);
-            stats.total = total;
-            stats.remaining = Math.max(0, total - stats.downloaded - stats.uploaded);
-            session.totalFiles = total;
-            console.log(`📊 Total files updated: ${total}`);
-        }
+// Record an error line in the user's stats (keeps the last 10)
+function recordStatsError(stats, errorMsg) {
+    stats.errors.push(`${new Date().toLocaleTimeString()}: ${errorMsg}`);
+    if (stats.errors.length > 10) {
+        stats.errors = stats.errors.slice(-10);
     }
+}
+
+// Apply a structured event from the CLI process to the user's state and stats
+function handleCliEvent(userId, ctx, event) {
+    const session = getUserSession(userId);
+    const stats = getSessionStats(userId);
+
+    switch (event.type) {
+        case EVENT_TYPES.JOB_STARTED:
+            session.state = STATES.PROCESSING;
+            session.isProcessing = true;
+            session.currentChannel = event.channelName || event.channelId;
+            session.autoAnswers = null;
+            session.job = {
+                channelId: event.channelId,
+                channelName: event.channelName || null,
+                uploadMode: Boolean(event.uploadMode),
+                targetChannelId: event.targetChannelId || null,
+                targetChannelIds: event.targetChannelIds || [],
+                downloadMode: event.downloadMode || "full",
+                startFromMessageId: event.startFromMessageId || 0,
+                messageIds: event.messageIds || null,
+                filters: event.filters || null,
+                followMode: Boolean(event.followMode),
+                following: false,
+                syncEdits: Boolean(event.syncEdits),
+                syncDeletes: Boolean(event.syncDeletes),
+                transferMode: event.transferMode || null,
+                hideSender: Boolean(event.hideSender),
+                captionRules: event.captionRules || null,
+                startedAt: new Date().toISOString(),
+                finished: false,
+            };
+
+            // A resumed job keeps counting from where it was interrupted
+            if (!session.resuming) {
+                sessionStats.delete(userId);
+                fileSizes.delete(userId);
+            }
+            session.resuming = false;
+            updateProgress("processing", `Processing ${session.currentChannel}`, 0, 100);
+            startProgressTimer(ctx, userId);
+            sendRateLimitedMessage(
+                ctx,
+                `🚀 Started: ${session.currentChannel}\n` +
+                `📤 Upload: ${event.uploadMode ? `ON (${describeTargets(event)})` : "OFF"}` +
+                (event.uploadMode && event.transferMode === "auto"
+                    ? `\n↪️ Transfer: forward when allowed${event.hideSender ? " (sender hidden)" : ""}, otherwise re-upload`
+                    : "") +
+                (event.uploadMode
+                    ? `\n🔁 Sync: edits ${event.syncEdits ? "ON" : "OFF"}, deletions ${event.syncDeletes ? "ON" : "OFF"}`
+                    : "") +
+                (event.captionRules ? `\n✏️ Caption rules:\n${describeCaptionRules(event.captionRules)}` : "") +
+                (event.filters ? `\n🔎 Filters:\n${describeFilters(event.filters)}` : ""),
+            );
+            break;
 
-    // Track downloads with enhanced parsing for complete file names
-    if (output.includes('Downloaded:') || (output.includes('✅') && output.includes('Download complete'))) {
-        // Enhanced regex to capture complete file names including paths and extensions
-        const fileMatch = output.match(/(?:Downloaded:|Download complete)\s*(?:\d+\/\d+:\s*)?(.+?)(?:\s*\((\d+(?:\.\d+)?)\s*Mbps\))?$/);
-        if (fileMatch) {
+        case EVENT_TYPES.MESSAGES_QUEUED:
+            stats.total += event.count;
+            stats.remaining = Math.max(0, stats.total - stats.downloaded);
+            session.totalFiles = stats.total;
+            session.totalBatches += event.totalBatches;
+            console.log(`📊 Total files updated: ${stats.total}`);
+            if (event.missingIds && event.missingIds.length > 0) {
+                ctx.reply(
+                    `⚠️ ${event.missingIds.length} of the requested message IDs do not exist ` +
+                    `(deleted or never posted) and were skipped:\n${formatIdList(event.missingIds)}`,
+                );
+            }
+            break;
+
+        case EVENT_TYPES.FILE_STARTED:
+            updateProgress("downloading", `Downloading: ${event.fileName}`, 0, 100);
+            break;
+
+        case EVENT_TYPES.FILE_PROGRESS:
+            if (event.total > 0) {
+                updateProgress(
+                    "downloading",
+                    `Downloading message ${event.messageId} (${event.speedMbps} Mbps)`,
+                    Math.round((event.downloaded / event.total) * 100),
+                    100,
+                );
+            }
+            break;
+
+        case EVENT_TYPES.FILE_COMPLETED: {
             stats.downloaded++;
+            stats.remaining = Math.max(0, stats.total - stats.downloaded);
             session.filesDownloaded = stats.downloaded;
-            stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-            
-            let fileName = fileMatch[1].trim();
-            
-            // Extract actual filename from path if present
-            if (fileName.includes('/')) {
-                fileName = fileName.split('/').pop();
-            }
-            
-            // Clean up any remaining unwanted characters
-            fileName = fileName.replace(/^\[/, '').replace(/\]$/, '').trim();
-            
-            const speedMbps = fileMatch[2] ? parseFloat(fileMatch[2]) : 0;
-            
             stats.downloadedFiles.push({
-                name: fileName,
+                name: event.fileName,
                 timestamp: new Date().toLocaleTimeString(),
-                speed: speedMbps
+                speed: event.speedMbps
             });
 
-            // Track file size info
-            let fileSizeInfo = fileSizes.get(userId) || {};
-            fileSizeInfo[fileName] = { 
-                actualSize: 0, 
-                expectedSize: 0,
+            const fileSizeInfo = fileSizes.get(userId) || {};
+            fileSizeInfo[event.fileName] = {
+                actualSize: event.size,
+                expectedSize: event.expectedSize,
                 downloaded: true,
-                fullSize: true,
+                fullSize: event.fullSize,
                 timestamp: new Date().toLocaleTimeString()
             };
             fileSizes.set(userId, fileSizeInfo);
-            
-            console.log(`📥 Download tracked: ${fileName} (Total: ${stats.downloaded})`);
+            console.log(`📥 Download tracked: ${event.fileName} (Total: ${stats.downloaded})`);
+            break;
         }
-    }
 
-    // Alternative parsing for file completion messages
-    if (output.includes('✅') && output.includes('File written successfully:')) {
-        const filePathMatch = output.match(/File written successfully:\s*(.+)$/);
-        if (filePathMatch) {
-            let fullPath = filePathMatch[1].trim();
-            let fileName = fullPath.includes('/') ? fullPath.split('/').pop() : fullPath;
-            
-            // Only track if not already tracked
-            let fileSizeInfo = fileSizes.get(userId) || {};
-            if (!fileSizeInfo[fileName]) {
-                stats.downloaded++;
-                session.filesDownloaded = stats.downloaded;
-                stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-                
-                fileSizeInfo[fileName] = { 
-                    actualSize: 0, 
-                    expectedSize: 0,
-                    downloaded: true,
-                    fullSize: true,
+        case EVENT_TYPES.FILE_UPLOADED:
+            stats.uploaded++;
+            if (event.path === "forward") {
+                stats.forwarded = (stats.forwarded || 0) + 1;
+            }
+            session.filesUploaded = stats.uploaded;
+            stats.uploadedFiles.push({
+                name: event.fileName,
+                timestamp: new Date().toLocaleTimeString(),
+                speed: event.speedMbps
+            });
+            console.log(`📤 Upload tracked: ${event.fileName} (Total: ${stats.uploaded})`);
+            break;
+
+        case EVENT_TYPES.FILE_FAILED: {
+            const errors = errorCounts.get(userId) || { total: 0, fileExpired: 0, timeout: 0 };
+            errors.total++;
+            if (event.reason.includes("FILE_REFERENCE_EXPIRED")) errors.fileExpired++;
+            if (event.reason.includes("Timeout")) errors.timeout++;
+            errorCounts.set(userId, errors);
+
+            if (event.stage === "download" && event.expectedSize > 0) {
+                const fileSizeInfo = fileSizes.get(userId) || {};
+                fileSizeInfo[event.fileName] = {
+                    actualSize: 0,
+                    expectedSize: event.expectedSize,
+                    downloaded: false,
+                    fullSize: false,
                     timestamp: new Date().toLocaleTimeString()
                 };
                 fileSizes.set(userId, fileSizeInfo);
-                
-                console.log(`📥 File completion tracked: ${fileName} (Total: ${stats.downloaded})`);
+                stats.incompleteFiles.push({
+                    name: event.fileName,
+                    timestamp: new Date().toLocaleTimeString(),
+                    reason: event.reason
+                });
             }
+
+            recordStatsError(stats, `${event.stage} failed for ${event.fileName}: ${event.reason}`);
+            sendRateLimitedMessage(
+                ctx,
+                `🚨 ${event.stage === "upload" ? "Upload" : "Download"} permanently failed: ${event.fileName}` +
+                `${event.targetChannelId ? ` → ${event.targetChannelId}` : ""}\n${event.reason}`,
+            );
+            break;
+        }
+
+        case EVENT_TYPES.BATCH_DONE:
+            stats.completedBatches++;
+            stats.currentBatch = stats.completedBatches + 1;
+            session.currentBatch = stats.currentBatch;
+            console.log(`🔢 Batch progress: ${event.batch}/${event.totalBatches} complete`);
+            // New posts trickle in one at a time while following, a report each would be noise
+            if (!session.job || !session.job.following) {
+                setTimeout(() => sendBatchCompletionReport(userId, ctx, stats.completedBatches), 1000);
+            }
+            break;
+
+        case EVENT_TYPES.FOLLOWING:
+            if (session.job) session.job.following = true;
+            stopProgressTimer(userId);
+            sendFinalCompletionReport(userId, ctx);
+            sendRateLimitedMessage(
+                ctx,
+                `👀 Now following ${session.currentChannel || event.channelId}: new posts after ` +
+                `message ${event.lastMessageId} are processed as they arrive.
+Send /unfollow to stop.`,
+            );
+            updateProgress("processing", `Following ${session.currentChannel || event.channelId}`, 100, 100);
+            break;
+
+        case EVENT_TYPES.PROMPT:
+            handleCliPrompt(userId, ctx, event);
+            break;
+
+        case EVENT_TYPES.AUTH_STATE:
+            handleAuthState(userId, ctx, event);
+            break;
+
+        case EVENT_TYPES.JOB_FINISHED: {
+            session.isProcessing = false;
+            if (session.job) session.job.finished = true;
+            stopProgressTimer(userId);
+            sendFinalCompletionReport(userId, ctx);
+
+            const errors = errorCounts.get(userId);
+            if (errors && errors.total > 0) {
+                sendRateLimitedMessage(
+                    ctx,
+                    `📊 Final Summary: ${errors.total} files failed (${errors.fileExpired} file references, ${errors.timeout} timeouts)`,
+                );
+            }
+            if (event.manifest && event.manifest.failed > 0) {
+                sendRateLimitedMessage(
+                    ctx,
+                    `♻️ ${event.manifest.failed} messages of this channel are marked as failed. ` +
+                    "Run the same channel again to retry just those.",
+                );
+            }
+            errorCounts.delete(userId);
+            updateProgress("completed", "All tasks completed successfully", 100, 100);
+            break;
         }
+
+        case EVENT_TYPES.JOB_ERROR:
+            recordStatsError(stats, event.message);
+            sendRateLimitedMessage(ctx, `🚨 ${event.message}`);
+            break;
+
+        default:
+            console.log(`⚠️ Unknown CLI event: ${event.type}`);
+            break;
     }
 
-    // Track uploads with enhanced parsing
-    if (output.includes('📤') && (output.includes('Uploaded:') || output.includes('Upload complete'))) {
-        const fileMatch = output.match(/📤\s*Uploaded:\s*(.+?)(?:\s*\((\d+(?:\.\d+)?)\s*Mbps\))?/);
-        if (fileMatch) {
-            stats.uploaded++;
-            session.filesUploaded = stats.uploaded;
-            stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-            
-            const fileName = fileMatch[1].trim();
-            const speedMbps = fileMatch[2] ? parseFloat(fileMatch[2]) : 0;
-            
-            stats.uploadedFiles.push({
-                name: fileName,
-                timestamp: new Date().toLocaleTimeString(),
-                speed: speedMbps
-            });
-            
-            console.log(`📤 Upload tracked: ${fileName} (Total: ${stats.uploaded})`);
+    // Progress ticks are too frequent and carry nothing worth restoring
+    if (event.type !== EVENT_TYPES.FILE_PROGRESS) {
+        persistSession(userId);
+    }
+}
+
+// Show a login QR code, replacing the previous (expired) one
+async function sendLoginQrCode(userId, ctx, event) {
+    const session = getUserSession(userId);
+    removeLoginQrCode(userId, ctx);
+
+    try {
+        const image = await QRCode.toBuffer(event.url, { width: 400, margin: 2 });
+        const expiresIn = Math.max(0, Math.round(event.expires - Date.now() / 1000));
+        const sent = await ctx.replyWithPhoto(
+            { source: image },
+            {
+                caption:
+                    "📷 Scan this QR code with Telegram on a device where you are logged in:\n" +
+                    "Settings → Devices → Link Desktop Device\n\n" +
+                    `⏳ This code refreshes automatically (valid for ${expiresIn}s).`,
+            },
+        );
+        session.qrMessageId = sent.message_id;
+    } catch (error) {
+        console.error(`❌ Could not send QR code to user ${userId}:`, error.message);
+        ctx.reply(`❌ Could not render the QR code. Open this link on a logged-in device instead:\n${event.url}`);
+    }
+}
+
+// Delete the QR code message once it is no longer valid
+function removeLoginQrCode(userId, ctx) {
+    const session = getUserSession(userId);
+    if (!session.qrMessageId) return;
+
+    ctx.deleteMessage(session.qrMessageId).catch(() => {});
+    session.qrMessageId = null;
+}
+
+// React to authentication progress reported by the CLI
+function handleAuthState(userId, ctx, event) {
+    const session = getUserSession(userId);
+
+    switch (event.state) {
+        case AUTH_STATES.QR_CODE:
+            session.state = STATES.PROCESSING;
+            updateProgress("authenticating", "Waiting for QR code scan", 40, 100);
+            sendLoginQrCode(userId, ctx, event);
+            break;
+
+        case AUTH_STATES.CODE_SENT:
+            ctx.reply(
+                `📨 Login code sent via ${event.via === "sms" ? "SMS" : "the Telegram app"}.`,
+            );
+            break;
+
+        case AUTH_STATES.SESSION_INVALID:
+            session.loginMethod = "otp";
+            ctx.reply(
+                "⚠️ Your Session ID is invalid or expired.\n" +
+                "Falling back to phone number + OTP login...",
+            );
+            break;
+
+        case AUTH_STATES.SESSION_CREATED:
+            ctx.reply(
+                `🔑 Your Session ID (save this for future logins):\n\n\`${event.sessionId}\`\n\n` +
+                "⚠️ Keep this private! Use /login_session next time to log in without OTP.",
+                { parse_mode: "Markdown" },
+            );
+            break;
+
+        case AUTH_STATES.PASSWORD_INVALID:
+            ctx.reply(`❌ Wrong password. ${event.attemptsLeft} attempt(s) left.`);
+            break;
+
+        case AUTH_STATES.LOGGED_IN:
+            removeLoginQrCode(userId, ctx);
+            ctx.reply("✅ Login successful!");
+            updateProgress("authenticated", "Selecting channel/chat", 60, 100);
+            break;
+
+        case AUTH_STATES.FAILED:
+            removeLoginQrCode(userId, ctx);
+            session.isProcessing = false;
+            ctx.reply(`🚨 Login failed: ${event.reason}`);
+            break;
+    }
+}
+
+// Give the user a fresh button token. Keyboards carrying an older token
+// are stale and their buttons are rejected.
+function issueButtonToken(session) {
+    session.buttonToken = crypto.randomBytes(4).toString("hex");
+    return session.buttonToken;
+}
+
+// Build an inline keyboard whose buttons answer with "<kind>:<token>:<value>"
+function buildKeyboard(session, kind, buttons) {
+    const token = issueButtonToken(session);
+    return Markup.inlineKeyboard(
+        buttons.map(([label, value]) => [Markup.button.callback(label, `${kind}:${token}:${value}`)]),
+    );
+}
+
+// Inline keyboard for a CLI prompt, or null when it needs typed input
+function buildPromptKeyboard(session, prompt) {
+    if (prompt.promptType === "confirm") {
+        return buildKeyboard(session, "prompt", [["✅ Yes", "y"], ["❌ No", "n"]]);
+    }
+
+    if (prompt.choices && prompt.choices.length > 0 && prompt.choices.length <= MAX_BUTTON_CHOICES) {
+        return buildKeyboard(
+            session,
+            "prompt",
+            prompt.choices.map((choice, index) => [choice.name, String(index + 1)]),
+        );
+    }
+
+    // Filters are optional, a button saves typing "-"
+    if (FILTER_FIELDS.some((field) => field.prompt === prompt.name)) {
+        return buildKeyboard(session, "prompt", [["⏭️ Skip", "-"]]);
+    }
+
+    return null;
+}
+
+// Show a CLI prompt, with buttons whenever its choices fit on a keyboard
+function sendPrompt(userId, ctx, prompt) {
+    const session = getUserSession(userId);
+    const keyboard = buildPromptKeyboard(session, prompt);
+
+    if (keyboard) {
+        return ctx.reply(`📝 ${prompt.message}`, keyboard);
+    }
+    return ctx.reply(formatPrompt(prompt));
+}
+
+// Start a fresh channel picker over the dialogs offered by a CLI prompt
+function openChannelPicker(userId, ctx, prompt) {
+    const session = getUserSession(userId);
+    session.picker = {
+        title: prompt.name === "targetChannel"
+            ? "📤 Choose the destination channel/chat"
+            : prompt.name === "extraTarget"
+                ? "📤 Choose another destination channel/chat"
+                : "📺 Choose the channel/chat to download from",
+        filter: "all",
+        query: "",
+        page: 0,
+    };
+    return sendChannelPicker(userId, ctx);
+}
+
+// Dialogs of the pending prompt matching the picker's filter and search
+function getPickerMatches(session) {
+    const { filter, query } = session.picker;
+    const choices = (session.pendingPrompt && session.pendingPrompt.choices) || [];
+
+    return choices
+        .map((choice, index) => ({ choice, index }))
+        .filter(({ choice }) => filter === "all" || choice.type === filter)
+        .filter(({ choice }) => !query || choice.name.toLowerCase().includes(query.toLowerCase()));
+}
+
+// Render the current picker page. With edit=true the picker message the
+// button belonged to is updated in place.
+function sendChannelPicker(userId, ctx, edit = false) {
+    const session = getUserSession(userId);
+    const picker = session.picker;
+    const matches = getPickerMatches(session);
+    const pageCount = Math.max(1, Math.ceil(matches.length / PICKER_PAGE_SIZE));
+    picker.page = Math.min(Math.max(0, picker.page), pageCount - 1);
+
+    const token = issueButtonToken(session);
+    const button = (label, value) => Markup.button.callback(label, `pick:${token}:${value}`);
+    const rows = matches
+        .slice(picker.page * PICKER_PAGE_SIZE, (picker.page + 1) * PICKER_PAGE_SIZE)
+        .map(({ choice, index }) => {
+            const label = choice.name.length > 48 ? `${choice.name.substring(0, 45)}...` : choice.name;
+            return [button(label, `c${index}`)];
+        });
+
+    rows.push(PICKER_FILTERS.map(([filter, label]) =>
+        button(filter === picker.filter ? `• ${label}` : label, `f${filter}`)));
+
+    const navigation = [];
+    if (picker.page > 0) navigation.push(button("◀️ Prev", `p${picker.page - 1}`));
+    if (picker.query) navigation.push(button("✖️ Clear search", "x"));
+    if (picker.page < pageCount - 1) navigation.push(button("Next ▶️", `p${picker.page + 1}`));
+    if (navigation.length > 0) rows.push(navigation);
+
+    let text = `${picker.title}\n\n`;
+    text += picker.query ? `🔍 Search: "${picker.query}"\n` : "";
+    text += matches.length > 0
+        ? `Page ${picker.page + 1}/${pageCount} • ${matches.length} chats\n\n`
+        : "No chats match.\n\n";
+    text += "Tap a chat, or type part of its name to search (or its ID).";
+
+    const keyboard = Markup.inlineKeyboard(rows);
+    if (edit) {
+        return ctx.editMessageText(text, keyboard).catch(() => {});
+    }
+    return ctx.reply(text, keyboard);
+}
+
+// Ask for the source chat as a link, @username, chat ID or forwarded post
+function askForSourceLink(userId, ctx, prompt) {
+    const session = getUserSession(userId);
+    const token = issueButtonToken(session);
+
+    return ctx.reply(
+        `🔗 ${prompt.message}\n\n` +
+        "You can also forward any post from the channel here. " +
+        "A link to a post lets you download from that post onwards.",
+        Markup.inlineKeyboard([
+            [Markup.button.callback("📋 Choose from my chats", `pick:${token}:l`)],
+        ]),
+    );
+}
+
+// The chat ID and t.me link of a post forwarded from a channel, or null
+function getForwardedPost(message) {
+    let chat = null;
+    let messageId = null;
+
+    if (message.forward_origin && message.forward_origin.type === "channel") {
+        chat = message.forward_origin.chat;
+        messageId = message.forward_origin.message_id;
+    } else if (message.forward_from_chat && message.forward_from_message_id) {
+        chat = message.forward_from_chat;
+        messageId = message.forward_from_message_id;
+    }
+
+    if (!chat || !messageId) return null;
+    return {
+        chatId: String(chat.id),
+        link: chat.username
+            ? `https://t.me/${chat.username}/${messageId}`
+            : `https://t.me/c/${String(chat.id).replace(/^-100/, "")}/${messageId}`,
+    };
+}
+
+// Send a source chat reference typed or forwarded by the user to the CLI
+function submitSourceLink(userId, ctx, link) {
+    const session = getUserSession(userId);
+    session.channel = link;
+    session.picker = null;
+    session.buttonToken = null;
+
+    if (answerPrompt(userId, link)) {
+        ctx.reply(`🔗 Opening ${link}...`);
+    } else {
+        ctx.reply(
+            "❌ Error: Process not available. Please /start again.",
+        );
+    }
+}
+
+// Handle a picker button: page, filter, clear search or pick a chat
+function handlePickerButton(userId, ctx, value) {
+    const session = getUserSession(userId);
+    const picker = session.picker;
+
+    // Skip the link step and browse the chat list instead
+    if (value === "l") {
+        if (!session.pendingPrompt || session.pendingPrompt.name !== "sourceLink") return;
+        session.buttonToken = null;
+        ctx.editMessageReplyMarkup(undefined).catch(() => {});
+        answerPrompt(userId, "");
+        return;
+    }
+    if (!picker) return;
+
+    switch (value[0]) {
+        case "p":
+            picker.page = parseInt(value.substring(1), 10) || 0;
+            return sendChannelPicker(userId, ctx, true);
+
+        case "f":
+            picker.filter = value.substring(1);
+            picker.page = 0;
+            return sendChannelPicker(userId, ctx, true);
+
+        case "x":
+            picker.query = "";
+            picker.page = 0;
+            return sendChannelPicker(userId, ctx, true);
+
+        case "c": {
+            const index = parseInt(value.substring(1), 10);
+            const choice = session.pendingPrompt.choices[index];
+            if (!choice) return sendChannelPicker(userId, ctx, true);
+
+            session.buttonToken = null;
+            ctx.editMessageReplyMarkup(undefined).catch(() => {});
+            return submitChannelChoice(userId, ctx, choice.value, choice.name);
         }
     }
+}
+
+// Send the chosen source/destination chat to the CLI
+function submitChannelChoice(userId, ctx, answer, label) {
+    const session = getUserSession(userId);
+    const isSource = session.state === STATES.AWAITING_CHANNEL;
 
-    // Track batch completion
-    if (output.includes('Ultra-speed batch') && output.includes('complete')) {
-        const batchMatch = output.match(/Ultra-speed batch\s+(\d+)\/(\d+)\s+complete/);
-        if (batchMatch) {
-            stats.completedBatches = parseInt(batchMatch[1]);
-            stats.currentBatch = Math.min(stats.completedBatches + 1, parseInt(batchMatch[2]));
-            console.log(`🔢 Batch progress: ${stats.completedBatches}/${batchMatch[2]} complete, current: ${stats.currentBatch}`);
+    if (isSource) {
+        session.channel = label;
+    } else {
+        session.destination = label;
+    }
+    session.picker = null;
+
+    if (answerPrompt(userId, answer)) {
+        ctx.reply(
+            isSource
+                ? `📺 Channel/chat selected: ${label}\nWaiting for options...`
+                : `📤 Destination set: ${label}\nStarting download/upload process...`,
+        );
+    } else {
+        ctx.reply(
+            "❌ Error: Process not available. Please /start again.",
+        );
+    }
+}
+
+// Format a prompt with its numbered choices for the user
+function formatPrompt(prompt) {
+    let text = `📝 ${prompt.message}`;
+
+    if (prompt.promptType === "confirm") {
+        return `${text}\n\nReply YES or NO.`;
+    }
+
+    if (prompt.choices && prompt.choices.length > 0) {
+        const shown = prompt.choices.slice(0, MAX_PROMPT_CHOICES);
+        text += "\n\n" + shown.map((choice, index) => `${index + 1}. ${choice.name}`).join("\n");
+        if (prompt.choices.length > shown.length) {
+            text += `\n... and ${prompt.choices.length - shown.length} more`;
         }
+        text += "\n\nReply with the number of your choice.";
     }
 
-    // Track size verification issues
-    if (output.includes('Size mismatch') || output.includes('Incomplete download') || output.includes('does not download in full size')) {
-        const fileMatch = output.match(/(?:Size mismatch|Incomplete download|does not download in full size).*?([^\s]+\.[a-zA-Z0-9]+)/);
-        if (fileMatch) {
-            const fileName = fileMatch[1];
-            let fileSizeInfo = fileSizes.get(userId) || {};
-            if (fileSizeInfo[fileName]) {
-                fileSizeInfo[fileName].fullSize = false;
-            } else {
-                fileSizeInfo[fileName] = { 
-                    actualSize: 0, 
-                    expectedSize: 0,
-                    downloaded: true,
-                    fullSize: false,
-                    timestamp: new Date().toLocaleTimeString()
-                };
-            }
-            fileSizes.set(userId, fileSizeInfo);
-            
-            stats.incompleteFiles.push({
-                name: fileName,
-                timestamp: new Date().toLocaleTimeString(),
-                reason: 'Size verification failed'
-            });
+    return text;
+}
+
+// "target X" or "3 targets: X, Y, Z" for a job's upload targets
+function describeTargets(job) {
+    const targets = job.targetChannelIds && job.targetChannelIds.length > 0
+        ? job.targetChannelIds
+        : [job.targetChannelId];
+    return targets.length === 1 ? `target ${targets[0]}` : `${targets.length} targets: ${targets.join(", ")}`;
+}
+
+// Compact "1-3, 5" style list of message IDs for chat messages
+function formatIdList(ids) {
+    const text = formatMessageIdRanges(ids);
+    return text.length > 3000 ? `${text.substring(0, 3000)}...` : text;
+}
+
+// Move the user into the state matching what the CLI is asking for
+function handleCliPrompt(userId, ctx, prompt) {
+    const session = getUserSession(userId);
+    session.pendingPrompt = prompt;
+
+    // Replay answers saved for a resumed job instead of asking again. A list
+    // answers a prompt that is asked repeatedly, one entry per time.
+    const saved = session.autoAnswers ? session.autoAnswers[prompt.name] : undefined;
+    if (saved !== undefined && !(Array.isArray(saved) && saved.length === 0)) {
+        const answer = resolvePromptAnswer(prompt, String(Array.isArray(saved) ? saved.shift() : saved));
+        if (!Array.isArray(saved) || saved.length === 0) delete session.autoAnswers[prompt.name];
+        if (answer !== null && answerPrompt(userId, answer)) {
+            console.log(`🔁 Auto-answered ${prompt.name} for user ${userId}`);
+            return;
         }
     }
 
-    // Track errors with enhanced parsing
-    if (output.includes('❌') && (output.includes('Error') || output.includes('Failed'))) {
-        const errorMatch = output.match(/❌\s*(.+)/);
-        if (errorMatch) {
-            const errorMsg = errorMatch[1].trim();
-            stats.errors = stats.errors || [];
-            stats.errors.push(`${new Date().toLocaleTimeString()}: ${errorMsg}`);
+    session.isProcessing = false;
 
-            // Keep only last 10 errors
-            if (stats.errors.length > 10) {
-                stats.errors = stats.errors.slice(-10);
-            }
+    // The CLI rejected the last answer and asks again
+    if (prompt.error) {
+        ctx.reply(`⚠️ ${prompt.error}`);
+    }
+
+    switch (prompt.name) {
+        case "phoneNumber":
+            session.state = STATES.AWAITING_PHONE;
+            updateProgress("authenticating", "Waiting for phone number", 20, 100);
+            ctx.reply("📱 Enter your phone number with country code (without +):");
+            break;
+
+        case "otp":
+            session.state = STATES.AWAITING_OTP;
+            updateProgress("authenticating", "Waiting for OTP verification", 40, 100);
+            ctx.reply("🔐 Enter the OTP using format like: 3&5&6&7&8");
+            break;
+
+        case "sessionId":
+            askForSessionString(userId, ctx);
+            break;
+
+        case "password":
+            session.state = STATES.AWAITING_PASSWORD;
+            updateProgress("authenticating", "Waiting for 2FA password", 50, 100);
+            ctx.reply(
+                `🔒 ${prompt.message}\n\n` +
+                "Your account has two-step verification. Send your password; " +
+                "the message is deleted from this chat right away.",
+            );
+            break;
+
+        // The bot's channel picker does its own searching, so always take
+        // the CLI's full list
+        case "sourceSearch":
+        case "targetSearch":
+            answerPrompt(userId, false);
+            break;
+
+        case "sourceLink":
+            session.state = STATES.AWAITING_CHANNEL;
+            updateProgress("configuring", "Selecting channel/chat", 60, 100);
+            askForSourceLink(userId, ctx, prompt);
+            break;
+
+        case "sourceChannel":
+            session.state = STATES.AWAITING_CHANNEL;
+            updateProgress("configuring", "Selecting channel/chat", 65, 100);
+            openChannelPicker(userId, ctx, prompt);
+            break;
+
+        case "targetChannel":
+        case "extraTarget":
+            session.state = STATES.AWAITING_DESTINATION;
+            updateProgress("configuring", "Setting destination channel", 80, 100);
+            openChannelPicker(userId, ctx, prompt);
+            break;
+
+        case "continue":
+            handleProcessCompletion(userId, ctx);
+            break;
+
+        default:
+            session.state = STATES.AWAITING_OPTION;
+            updateProgress("configuring", prompt.message, 70, 100);
+            sendPrompt(userId, ctx, prompt);
+            break;
+    }
+}
+
+// Translate the user's reply into the answer the CLI prompt expects:
+// true/false for yes/no questions, the choice value for lists
+function resolvePromptAnswer(prompt, message) {
+    if (!prompt) return message;
+
+    if (prompt.promptType === "confirm") {
+        const answer = message.trim().toLowerCase();
+        if (["yes", "y"].includes(answer)) return true;
+        if (["no", "n"].includes(answer)) return false;
+        return null;
+    }
+
+    if (prompt.choices && prompt.choices.length > 0) {
+        // Choices are shown numbered
+        const number = parseInt(message, 10);
+        if (String(number) === message.trim() && number >= 1 && number <= prompt.choices.length) {
+            return prompt.choices[number - 1].value;
         }
+
+        // Accept the choice name or value as typed
+        const choice = prompt.choices.find((item) =>
+            String(item.value).toLowerCase() === message.trim().toLowerCase() ||
+            String(item.name).toLowerCase() === message.trim().toLowerCase(),
+        );
+        return choice ? choice.value : null;
     }
 
-    sessionStats.set(userId, stats);
+    return message;
+}
+
+// Answer the pending CLI prompt. The CLI validates the answer and sends
+// the prompt again with an error if it does not fit.
+function answerPrompt(userId, answer) {
+    const session = getUserSession(userId);
+    const prompt = session.pendingPrompt;
+    if (!prompt || !sendToProcess(userId, createPromptAnswer(prompt.id, answer))) {
+        return false;
+    }
+
+    session.pendingPrompt = null;
+    return true;
 }
 
 // Enhanced batch completion report with file verification
@@ -573,6 +1342,9 @@ function sendFinalCompletionReport(userId, ctx) {
     reportMessage += `📊 **Final Statistics:**\n`;
     reportMessage += `✅ Total Downloaded: ${stats.downloaded || 0} files\n`;
     reportMessage += `⬆️ Total Uploaded: ${stats.uploaded || 0} files\n`;
+    if (stats.forwarded > 0) {
+        reportMessage += `↪️ Forwarded without download: ${stats.forwarded} of them\n`;
+    }
     reportMessage += `🔢 Batches Completed: ${stats.completedBatches || 0}\n`;
     reportMessage += `📦 Total Files Processed: ${stats.total || 0}\n\n`;
 
@@ -644,12 +1416,22 @@ function handleProcessCompletion(userId, ctx) {
     const completionMessage = `🎉 **Channel processing completed!**\n\n` +
         `📊 Final Statistics:\n` +
         `✅ Downloaded: ${session.filesDownloaded} files\n` +
-        `⬆️ Uploaded: ${session.filesUploaded} files\n\n` +
-        `🔄 **What would you like to do next?**\n` +
-        `• Type "ANOTHER" to process another channel\n` +
-        `• Type "LOGOUT" to logout and end session`;
+        `⬆️ Uploaded: ${session.filesUploaded} files\n\n`;
 
-    sendRateLimitedMessage(ctx, completionMessage);
+    // Sent directly: a repeated prompt must never be dropped as a duplicate
+    sendContinuationPrompt(userId, ctx, completionMessage);
+}
+
+// Ask whether to process another channel or log out
+function sendContinuationPrompt(userId, ctx, intro = "") {
+    const session = getUserSession(userId);
+    return ctx.reply(
+        `${intro}🔄 What would you like to do next?`,
+        buildKeyboard(session, "next", [
+            ["📺 Process another channel", "another"],
+            ["👋 Logout and end session", "logout"],
+        ]),
+    );
 }
 
 // Rate-limited message sending with retry logic
@@ -760,25 +1542,257 @@ async function processMessageQueue(userId) {
                 }
                 resolve(false); // Resolve as failed instead of rejecting
             }
-        }
+        }
+    }
+
+    processingQueue.delete(userId);
+}
+
+// Kill user process if exists
+function killUserProcess(userId) {
+    const session = getUserSession(userId);
+    if (session.process && !session.process.killed) {
+        session.process.kill("SIGTERM");
+        session.process = null;
+    }
+    // Clear progress timer for this user
+    stopProgressTimer(userId);
+}
+
+// Show the security warning with consent buttons
+function sendConsentPrompt(userId, ctx) {
+    const session = getUserSession(userId);
+    return ctx.reply(
+        "🚨 *SECURITY WARNING* 🚨\n\n" +
+            "This bot will:\n" +
+            "• Log into your Telegram account using YOUR API credentials\n" +
+            "• Access your messages and media\n" +
+            "• Download/upload files using your account\n\n" +
+            "⚠️ Only proceed if you trust this bot completely.\n\n" +
+            "📋 You will need:\n" +
+            "• Your Telegram API ID\n" +
+            "• Your Telegram API Hash\n" +
+            "(Get these from https://my.telegram.org/auth)\n\n" +
+            "Tap *I consent* to continue or *Cancel* to abort.",
+        {
+            parse_mode: "Markdown",
+            ...buildKeyboard(session, "consent", [["✅ I consent", "yes"], ["❌ Cancel", "no"]]),
+        },
+    );
+}
+
+// Consent given, move on to collecting API credentials
+function acceptConsent(userId, ctx) {
+    const session = getUserSession(userId);
+
+    // Session logins can reuse the API credentials already on file
+    if (session.loginMethod === "session" && session.apiId && session.apiHash) {
+        askForSessionString(userId, ctx, "✅ Consent received.\n\n");
+        return;
+    }
+
+    session.state = STATES.AWAITING_API_ID;
+    ctx.reply(
+        "✅ Consent received.\n\n" +
+        "🔑 Please enter your Telegram API ID:",
+    );
+}
+
+// Ask for a saved session string instead of phone + OTP
+function askForSessionString(userId, ctx, intro = "") {
+    const session = getUserSession(userId);
+    session.state = STATES.AWAITING_SESSION_STRING;
+    ctx.reply(
+        `${intro}🗝️ Paste your saved Session ID.\n` +
+        "The message is deleted from this chat right away.",
+    );
+}
+
+// Log in with a session string: answer the running CLI's prompt, or start
+// the CLI and let it pick the session login on its own
+function submitSessionString(userId, ctx, sessionString) {
+    const session = getUserSession(userId);
+
+    if (session.pendingPrompt && session.pendingPrompt.name === "sessionId") {
+        if (answerPrompt(userId, sessionString)) {
+            ctx.reply("🔄 Checking your Session ID...");
+        } else {
+            ctx.reply("❌ Error: Process not available. Please /start again.");
+        }
+        return;
+    }
+
+    killUserProcess(userId);
+    session.autoAnswers = { loginMethod: "session", sessionId: sessionString };
+    session.state = STATES.PROCESSING;
+    session.isProcessing = true;
+    session.currentChannel = "Initialization";
+    ctx.reply("🔄 Checking your Session ID...");
+    spawnCliProcess(userId, ctx);
+}
+
+// Stop whatever the user is doing and go idle
+function cancelSession(userId, ctx) {
+    const session = getUserSession(userId);
+    killUserProcess(userId);
+    session.state = STATES.IDLE;
+    persistSession(userId);
+    ctx.reply("❌ Operation cancelled. Use /start to begin again.");
+}
+
+// Send the chosen answer of an option prompt to the CLI
+function submitOptionAnswer(userId, ctx, answer, label) {
+    const session = getUserSession(userId);
+    session.option = label;
+    if (answerPrompt(userId, answer)) {
+        ctx.reply(`⚙️ Option selected: ${label}`);
+    } else {
+        ctx.reply(
+            "❌ Error: Process not available. Please /start again.",
+        );
+    }
+}
+
+// Reset for another channel but keep the login
+function startAnotherChannel(userId, ctx) {
+    const session = getUserSession(userId);
+    session.state = STATES.AWAITING_CHANNEL;
+    session.channel = null;
+    session.option = null;
+    session.destination = null;
+    session.filesDownloaded = 0;
+    session.filesUploaded = 0;
+    session.filesRemaining = 0;
+    session.isProcessing = false; // Reset processing flag
+
+    // Clear progress tracking for new session
+    sessionStats.delete(userId);
+    completedBatches.delete(userId);
+    currentBatchFiles.delete(userId);
+    fileSizes.delete(userId); // Clear file size info too
+
+    ctx.reply(
+        "🔄 Starting new channel processing...\n\n" +
+        "🚀 The script will continue with your existing credentials.\n" +
+        "Please wait while we prepare the channel selection..."
+    );
+
+    // Let the running CLI continue, or restart it with existing credentials
+    if (!answerPrompt(userId, true)) {
+        killUserProcess(userId);
+        spawnCliProcess(userId, ctx);
+    }
+}
+
+// Full logout and session cleanup
+function logoutUser(userId, ctx) {
+    const session = getUserSession(userId);
+    answerPrompt(userId, false);
+    killUserProcess(userId);
+    session.state = STATES.IDLE;
+    session.apiId = null;
+    session.apiHash = null;
+    session.phone = null;
+    session.isProcessing = false;
+    session.job = null;
+    clearWorkspaceCredentials(userId);
+
+    // Clear all user data
+    sessionStats.delete(userId);
+    completedBatches.delete(userId);
+    currentBatchFiles.delete(userId);
+    fileSizes.delete(userId);
+    errorCounts.delete(userId);
+    speedMonitorIntervals.delete(userId);
+
+    ctx.reply(
+        "👋 **Logged out successfully!**\n\n" +
+        "Your session has been cleared. Use /start to begin a new session."
+    );
+}
+
+// Which state each kind of button is valid in
+const BUTTON_STATES = {
+    consent: [STATES.AWAITING_CONSENT],
+    prompt: [STATES.AWAITING_OPTION],
+    next: [STATES.AWAITING_CONTINUATION],
+    resume: [STATES.INTERRUPTED],
+    pick: [STATES.AWAITING_CHANNEL, STATES.AWAITING_DESTINATION],
+};
+
+// Handle an inline keyboard button press. Buttons from an older keyboard,
+// or pressed after the flow moved on, are rejected without side effects.
+async function handleButton(ctx) {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const [, kind, token, value] = ctx.match;
+
+    if (token !== session.buttonToken || !BUTTON_STATES[kind].includes(session.state)) {
+        await ctx.answerCbQuery("⌛ This button has expired.").catch(() => {});
+        await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+        return;
+    }
+
+    // The picker keeps its keyboard while paging and filtering
+    if (kind === "pick") {
+        session.chatId = ctx.chat.id;
+        await ctx.answerCbQuery().catch(() => {});
+        await handlePickerButton(userId, ctx, value);
+        persistSession(userId);
+        return;
+    }
+
+    // One press per keyboard
+    session.buttonToken = null;
+    session.chatId = ctx.chat.id;
+    await ctx.answerCbQuery().catch(() => {});
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+    switch (kind) {
+        case "consent":
+            if (value === "yes") {
+                acceptConsent(userId, ctx);
+            } else {
+                cancelSession(userId, ctx);
+            }
+            break;
+
+        case "prompt": {
+            const prompt = session.pendingPrompt;
+            const choice = prompt && prompt.choices && prompt.choices[parseInt(value, 10) - 1];
+            const labels = { y: "Yes", n: "No", "-": "Skip" };
+            const label = choice ? choice.name : labels[value];
+            submitOptionAnswer(userId, ctx, resolvePromptAnswer(prompt, value), label);
+            break;
+        }
+
+        case "next":
+            if (value === "another") {
+                startAnotherChannel(userId, ctx);
+            } else {
+                logoutUser(userId, ctx);
+            }
+            break;
+
+        case "resume":
+            if (value === "yes") {
+                resumeSession(userId, ctx);
+            } else {
+                session.state = STATES.IDLE;
+                ctx.reply("🆕 Send /start to begin from scratch.");
+            }
+            break;
     }
 
-    processingQueue.delete(userId);
-}
-
-// Kill user process if exists
-function killUserProcess(userId) {
-    const session = getUserSession(userId);
-    if (session.process && !session.process.killed) {
-        session.process.kill("SIGTERM");
-        session.process = null;
-    }
-    // Clear progress timer for this user
-    stopProgressTimer(userId);
+    persistSession(userId);
 }
 
 // Import auth functions for session handling
 const { setBotContext } = require('./java/modules/auth');
+const { EVENT_TYPES, AUTH_STATES, isJobEvent, createPromptAnswer } = require('./java/utils/job-events');
+const { formatMessageIdRanges } = require('./java/utils/helper');
+const { FILTER_FIELDS, describeFilters } = require('./java/utils/message-filters');
+const { describeCaptionRules } = require('./java/utils/caption-rules');
 
 // Setup bot event handlers
 function setupBotHandlers() {
@@ -790,32 +1804,119 @@ bot.command("start", (ctx) => {
     // Clear any previous duplicate history for fresh session
     clearUserDuplicates(ctx.from.id);
 
+    session.chatId = ctx.chat.id;
     session.state = STATES.AWAITING_CONSENT;
+    session.loginMethod = null;
+    session.job = null;
+    persistSession(ctx.from.id);
     updateProgress(
         "active", "User starting authentication process", 0, 100);
 
-    ctx.reply(
-        "🚨 *SECURITY WARNING* 🚨\n\n" +
-            "This bot will:\n" +
-            "• Log into your Telegram account using YOUR API credentials\n" +
-            "• Access your messages and media\n" +
-            "• Download/upload files using your account\n\n" +
-            "⚠️ Only proceed if you trust this bot completely.\n\n" +
-            "📋 You will need:\n" +
-            "• Your Telegram API ID\n" +
-            "• Your Telegram API Hash\n" +
-            "(Get these from https://my.telegram.org/auth)\n\n" +
-            'Type "I CONSENT" to continue or /cancel to abort.',
-        { parse_mode: "Markdown" },
-    );
+    sendConsentPrompt(ctx.from.id, ctx);
 });
 
 // Cancel command
 bot.command("cancel", (ctx) => {
-    const session = getUserSession(ctx.from.id);
-    killUserProcess(ctx.from.id);
-    session.state = STATES.IDLE;
-    ctx.reply("❌ Operation cancelled. Use /start to begin again.");
+    cancelSession(ctx.from.id, ctx);
+});
+// Login with a saved session string instead of phone + OTP
+bot.command("login_session", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    killUserProcess(userId);
+    clearUserDuplicates(userId);
+
+    session.chatId = ctx.chat.id;
+    session.loginMethod = "session";
+    session.job = null;
+    session.state = STATES.AWAITING_CONSENT;
+    persistSession(userId);
+    updateProgress("active", "User starting session login", 0, 100);
+
+    sendConsentPrompt(userId, ctx);
+});
+
+// Inline keyboard buttons
+bot.action(/^(consent|prompt|next|resume|pick):([0-9a-f]+):(.+)$/, handleButton);
+
+// Resume command - continue a job interrupted by a restart or /cancel
+bot.command("resume", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    session.chatId = ctx.chat.id;
+
+    const hasUnfinishedJob = session.job && !session.job.finished;
+    if (session.state !== STATES.INTERRUPTED && !hasUnfinishedJob) {
+        ctx.reply("🤷 There is nothing to resume. Use /start to begin.");
+        return;
+    }
+    if (session.process && !session.process.killed) {
+        ctx.reply("⏳ A process is already running. Use /cancel first to stop it.");
+        return;
+    }
+
+    resumeSession(userId, ctx);
+    persistSession(userId);
+});
+
+// Follow command - keep the last job's channel mirrored as new posts arrive
+bot.command("follow", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    session.chatId = ctx.chat.id;
+    const isRunning = session.process && !session.process.killed;
+
+    if (!session.job) {
+        ctx.reply("🤷 There is no channel to follow yet. Use /start to run a job first.");
+        return;
+    }
+    if (session.job.downloadMode === "specific") {
+        ctx.reply("❌ A job for specific message IDs cannot be followed. Run the channel with another download mode first.");
+        return;
+    }
+    if (isRunning && session.job.following) {
+        ctx.reply(`👀 Already following ${session.job.channelName || session.job.channelId}. Send /unfollow to stop.`);
+        return;
+    }
+    // A finished job waits at the "another channel?" prompt and can be replaced
+    if (isRunning && session.state !== STATES.AWAITING_CONTINUATION) {
+        ctx.reply("⏳ A job is still running. Wait for it to finish or use /cancel first.");
+        return;
+    }
+
+    session.job.followMode = true;
+    session.job.following = false;
+    session.job.finished = false;
+    resumeSession(userId, ctx);
+    persistSession(userId);
+});
+
+// Unfollow command - stop a follow job but stay logged in
+bot.command("unfollow", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    session.chatId = ctx.chat.id;
+
+    if (!session.job || !session.job.followMode || session.job.finished) {
+        ctx.reply("🤷 You are not following any channel.");
+        return;
+    }
+
+    killUserProcess(userId);
+    session.job.followMode = false;
+    session.job.following = false;
+    session.job.finished = true;
+    session.isProcessing = false;
+    session.pendingPrompt = null;
+    session.state = STATES.AWAITING_CONTINUATION;
+    persistSession(userId);
+    updateProgress("completed", "Stopped following", 100, 100);
+
+    sendContinuationPrompt(
+        userId,
+        ctx,
+        `🛑 Stopped following ${session.job.channelName || session.job.channelId}.\n\n`,
+    );
 });
 
 // Reset command
@@ -824,6 +1925,9 @@ bot.command("reset", (ctx) => {
     const session = getUserSession(userId);
     // Clear duplicate history on reset
     clearUserDuplicates(userId);
+    // Stop the downloader and forget the saved login, like a logout
+    killUserProcess(userId);
+    clearWorkspaceCredentials(userId);
 
     session.state = STATES.IDLE;
     session.process = null;
@@ -834,6 +1938,8 @@ bot.command("reset", (ctx) => {
     session.apiId = null;
     session.apiHash = null;
     session.progressMessageId = null;
+    session.job = null;
+    sessionStore.remove(userId);
     ctx.reply('🔄 Session reset. Duplicate history cleared. Send /start to begin again.');
 });
 
@@ -926,359 +2032,113 @@ bot.command("speed", async (ctx) => {
 
 
 
-// Update config file with user credentials
-function updateConfigFile(apiId, apiHash) {
-    const configPath = path.join(REPO_DIR, "config.json");
+// Get the workspace directory of a user
+function getWorkspacePath(userId) {
+    return path.resolve(WORKSPACES_DIR, String(userId));
+}
+
+// Get (and create) the workspace directory of a user
+function getUserWorkspace(userId) {
+    const workspace = getWorkspacePath(userId);
+    fs.mkdirSync(path.join(workspace, "export"), { recursive: true, mode: 0o700 });
+    return workspace;
+}
+
+// Environment for a CLI process pointed at the user's workspace
+function getWorkspaceEnv(userId) {
+    return { ...process.env, WORKSPACE_DIR: getUserWorkspace(userId) };
+}
+
+// Remove a user's saved credentials and login session from their workspace
+function clearWorkspaceCredentials(userId) {
+    const configPath = path.join(getWorkspacePath(userId), "config.json");
+    try {
+        fs.rmSync(configPath, { force: true });
+    } catch (error) {
+        console.error(`❌ Could not clear credentials for user ${userId}:`, error.message);
+    }
+}
+
+// Read the API credentials saved in a workspace, none if they are gone
+function readWorkspaceCredentials(workspace) {
+    if (!workspace) return {};
+
+    try {
+        const { apiId, apiHash } = JSON.parse(fs.readFileSync(path.join(workspace, "config.json"), "utf8"));
+        return apiId && apiHash ? { apiId, apiHash } : {};
+    } catch (error) {
+        console.error(`❌ Could not read credentials from ${workspace}:`, error.message);
+        return {};
+    }
+}
+
+// Update the config file in the user's workspace with their credentials
+function updateConfigFile(userId, apiId, apiHash) {
+    const configPath = path.join(getUserWorkspace(userId), "config.json");
+
+    // Keep the saved login session when the credentials did not change
+    let sessionId = "";
+    try {
+        const existing = JSON.parse(fs.readFileSync(configPath, "utf8"));
+        if (existing.apiId === parseInt(apiId) && existing.apiHash === apiHash) {
+            sessionId = existing.sessionId || "";
+        }
+    } catch (error) {
+        // No usable config yet, start without a session
+    }
+
     const config = {
         apiId: parseInt(apiId),
         apiHash: apiHash,
-        sessionId: "",
+        sessionId,
     };
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2), { mode: 0o600 });
 }
 
-// Spawn CLI process
-function spawnCliProcess(userId, ctx) {
+// Spawn CLI process. With options.resume the CLI reuses the saved login
+// and the bot replays the interrupted job's configuration.
+function spawnCliProcess(userId, ctx, options = {}) {
     const session = getUserSession(userId);
 
     // Update config file with user's API credentials
-    updateConfigFile(session.apiId, session.apiHash);
+    updateConfigFile(userId, session.apiId, session.apiHash);
 
     // Start speed monitoring for network operations
     startSpeedMonitoring(userId, ctx);
 
-    // Change to repository directory and run the script
-    const process = spawn("node", ["index.js"], {
+    // Change to repository directory and run the script against the user's
+    // workspace. The extra "ipc" slot is the dedicated channel the CLI uses
+    // to report job events and receive prompt answers, stdin is never read.
+    const args = options.resume ? ["index.js", "--resume"] : ["index.js"];
+    const process = spawn("node", args, {
         cwd: REPO_DIR,
-        stdio: ["pipe", "pipe", "pipe"],
+        env: getWorkspaceEnv(userId),
+        stdio: ["ignore", "pipe", "pipe", "ipc"],
     });
 
     session.process = process;
 
-    // Handle stdout
-    process.stdout.on("data", (data) => {
-        let output = data.toString();
+    // Structured events drive the bot state machine and reports
+    process.on("message", (message) => {
+        if (!isJobEvent(message)) return;
+        try {
+            handleCliEvent(userId, ctx, message.event);
+        } catch (error) {
+            console.error(`❌ Failed to handle CLI event ${message.event.type}:`, error.message);
+        }
+    });
 
-        // Clean ANSI escape codes and control characters
-        output = output
+    // Human readable output is only logged, never parsed
+    process.stdout.on("data", (data) => {
+        const output = data
+            .toString()
             .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, "") // Remove ANSI escape sequences
-            .replace(/\x1b\[[0-9]*[ABCD]/g, "") // Remove cursor movement
-            .replace(/\x1b\[[0-9]*[JK]/g, "") // Remove clear sequences
-            .replace(/\x1b\[[0-9]*[G]/g, "") // Remove cursor positioning
             .replace(/\r/g, "") // Remove carriage returns
             .replace(/\n+/g, "\n") // Normalize newlines
             .trim();
 
         if (output) {
-            const userId = ctx.from.id;
-
-            // Filter out progress spam and verbose logs
-            if (output.includes("%") && output.includes("Mbps")) {
-                // Skip individual progress messages - timer handles this
-            } else if (
-                output.includes("[INFO]") ||
-                output.includes("Processing message") ||
-                output.includes("Starting direct file download") ||
-                output.includes("Connection to") ||
-                output.includes("File lives in another DC")
-            ) {
-                // Skip verbose debug messages
-            } else if (output.includes("FILE_REFERENCE_EXPIRED")) {
-                // Handle file reference expired errors silently - script auto-retries
-                console.log(
-                    `📋 File reference expired for a message, script will retry automatically`,
-                );
-
-                // Track error count for summary
-                const userId = ctx.from.id;
-                if (!errorCounts.has(userId)) {
-                    errorCounts.set(userId, {
-                        total: 0,
-                        fileExpired: 0,
-                        timeout: 0,
-                    });
-                }
-                const errors = errorCounts.get(userId);
-                errors.total++;
-                errors.fileExpired++;
-                // Don't send these to user - they're handled automatically
-            } else if (output.includes("Timeout") && output.includes("503")) {
-                // Handle timeout errors silently - script auto-retries
-                console.log(
-                    `⏱️ Network timeout occurred, script will retry automatically`,
-                );
-
-                // Track timeout count
-                const userId = ctx.from.id;
-                if (!errorCounts.has(userId)) {
-                    errorCounts.set(userId, {
-                        total: 0,
-                        fileExpired: 0,
-                        timeout: 0,
-                    });
-                }
-                const errors = errorCounts.get(userId);
-                errors.total++;
-                errors.timeout++;
-                // Don't spam user with timeout messages
-            } else if (
-                output.includes("Download attempt") &&
-                output.includes("failed")
-            ) {
-                // Handle individual download attempt failures silently
-                console.log(
-                    `🔄 Download attempt failed, script will retry automatically`,
-                );
-                // Only log, don't send to user to avoid spam
-            } else if (
-                output.includes("❌") &&
-                (output.includes("Max retries reached") ||
-                    output.includes("permanently failed"))
-            ) {
-                // Only send final failures after all retries exhausted
-                sendRateLimitedMessage(ctx, `🚨 ${output}`);
-            } else if (
-                output.includes("❌") ||
-                output.includes("Error") ||
-                output.includes("Failed") ||
-                output.includes("Exception")
-            ) {
-                // Filter out common auto-retry errors, only send critical ones
-                const criticalErrors = [
-                    "CHAT_FORWARDS_RESTRICTED",
-                    "AUTH_KEY_INVALID",
-                    "USER_DEACTIVATED_BAN",
-                    "PHONE_NUMBER_INVALID",
-                    "SESSION_EXPIRED",
-                ];
-
-                const isCritical = criticalErrors.some((errorType) =>
-                    output.includes(errorType),
-                );
-                if (isCritical) {
-                    sendRateLimitedMessage(ctx, `🚨 ${output}`);
-                } else {
-                    // Log but don't spam user with auto-retry errors
-                    console.log(
-                        `⚠️ Non-critical error (auto-handled): ${output}`,
-                    );
-                }
-            } else if (
-                output.includes("✅") ||
-                output.includes("Downloaded") ||
-                output.includes("complete")
-            ) {
-                // Track progress and file operations
-                trackFileProgress(userId, output);
-
-                // Check for batch completion and send detailed report
-                if (output.includes("Ultra-speed batch") && output.includes("complete")) {
-                    const batchMatch = output.match(/Ultra-speed batch\s+(\d+)\/(\d+)\s+complete/);
-                    if (batchMatch) {
-                        const batchNumber = parseInt(batchMatch[1]);
-                        const totalBatches = parseInt(batchMatch[2]);
-                        
-                        // Send batch completion report with file verification
-                        setTimeout(() => sendBatchCompletionReport(userId, ctx, batchNumber), 1000);
-                    }
-                }
-
-                // Check for final process completion
-                if (output.includes("Ultra-speed processing complete") || 
-                    output.includes("All messages processed") || 
-                    output.includes("No more messages")) {
-                    setTimeout(() => {
-                        sendFinalCompletionReport(userId, ctx);
-                        handleProcessCompletion(userId, ctx);
-                    }, 2000);
-                }
-
-                // Send success messages with rate limiting
-                sendRateLimitedMessage(ctx, `✅ ${output}`);
-            } else {
-                // Send other important messages with rate limiting
-                sendRateLimitedMessage(ctx, `📝 ${output}`);
-            }
-
-            // Parse output to determine next state
-            if (output.includes("Enter your phone number")) {
-                session.state = STATES.AWAITING_PHONE;
-                session.isProcessing = false; // Stop processing until phone number is provided
-                updateProgress(
-                    "authenticating",
-                    "Waiting for phone number",
-                    20,
-                    100,
-                );
-            } else if (
-                output.includes("Enter OTP") ||
-                output.includes("Enter the code")
-            ) {
-                session.state = STATES.AWAITING_OTP;
-                session.isProcessing = false;
-                updateProgress(
-                    "authenticating",
-                    "Waiting for OTP verification",
-                    40,
-                    100,
-                );
-            } else if (
-                output.includes("Login successful") ||
-                output.includes("logged in")
-            ) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "✅ Login successful! Now enter the channel/chat ID:",
-                );
-                session.state = STATES.AWAITING_CHANNEL;
-                session.isProcessing = false;
-                updateProgress(
-                    "authenticated",
-                    "Selecting channel/chat",
-                    60,
-                    100,
-                );
-            } else if (
-                output.includes("Choose:") ||
-                output.includes("Select option")
-            ) {
-                session.state = STATES.AWAITING_OPTION;
-                session.isProcessing = false;
-                updateProgress(
-                    "configuring",
-                    "Selecting operation mode",
-                    70,
-                    100,
-                );
-            } else if (
-                output.includes("destination") &&
-                output.includes("channel")
-            ) {
-                session.state = STATES.AWAITING_DESTINATION;
-                session.isProcessing = false;
-                updateProgress(
-                    "configuring",
-                    "Setting destination channel",
-                    80,
-                    100,
-                );
-            } else if (output.includes("Search channel by name")) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "💡 The script is asking about channel search. Please respond with your choice.",
-                );
-            } else if (
-                output.includes("Please enter name of channel to search")
-            ) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "🔍 Enter the channel name you want to search for:",
-                );
-                session.state = STATES.AWAITING_CHANNEL;
-                session.isProcessing = false;
-                updateProgress("searching", "Searching for channel", 65, 100);
-            } else if (
-                output.includes("Downloading") ||
-                output.includes("Uploading") ||
-                output.includes("Progress")
-            ) {
-                session.state = STATES.PROCESSING;
-                session.isProcessing = true;
-                session.currentChannel = session.channel; // Store current channel for status
-
-                // Extract progress from output if available
-                const progressMatch = output.match(/(\d+)%/);
-                const progressValue = progressMatch
-                    ? parseInt(progressMatch[1])
-                    : 85;
-
-                if (output.includes("Downloading")) {
-                    updateProgress(
-                        "downloading",
-                        `Downloading: ${output.substring(0, 50)}...`,
-                        progressValue,
-                        100,
-                    );
-                } else if (output.includes("Uploading")) {
-                    updateProgress(
-                        "uploading",
-                        `Uploading: ${output.substring(0, 50)}...`,
-                        progressValue,
-                        100,
-                    );
-                } else {
-                    updateProgress(
-                        "processing",
-                        "Processing media files",
-                        progressValue,
-                        100,
-                    );
-                }
-
-                // Start progress timer when processing begins
-                startProgressTimer(ctx, userId);
-
-                // Initialize session tracking
-                if (!sessionStats.has(userId)) {
-                    sessionStats.set(userId, {
-                        downloaded: 0,
-                        uploaded: 0,
-                        remaining: 0,
-                        total: 0,
-                        completedBatches: 0,
-                        currentBatch: 1,
-                        errors: []
-                    });
-                }
-            } else if (
-                output.includes("Done") ||
-                output.includes("Completed") ||
-                output.includes("Finished")
-            ) {
-                session.state = STATES.IDLE;
-                session.isProcessing = false;
-
-                // Send completion summary with error stats
-                const errors = errorCounts.get(userId) || {
-                    total: 0,
-                    fileExpired: 0,
-                    timeout: 0,
-                };
-                let completionMessage =
-                    "🎉 Process completed! Use /start to begin a new session.";
-
-                if (errors.total > 0) {
-                    completionMessage += `\n📊 Final Summary: ${errors.total} errors were auto-handled (${errors.fileExpired} file references, ${errors.timeout} timeouts)`;
-                }
-
-                sendRateLimitedMessage(ctx, completionMessage);
-                updateProgress(
-                    "completed",
-                    "All tasks completed successfully",
-                    100,
-                    100,
-                );
-
-                // Clear error counts and stop progress timer
-                errorCounts.delete(userId);
-                stopProgressTimer(userId);
-                stopSpeedMonitoring(userId);
-
-                // Reset duplicate message history after successful completion
-                clearUserDuplicates(userId);
-
-                // Reset to idle after 30 seconds
-                setTimeout(() => {
-                    if (userSessions.size === 0) {
-                        updateProgress(
-                            "idle",
-                            "Waiting for user commands",
-                            0,
-                            100,
-                        );
-                    }
-                }, 30000);
-            }
+            console.log(`[cli:${userId}] ${output}`);
         }
     });
 
@@ -1292,15 +2152,24 @@ function spawnCliProcess(userId, ctx) {
 
     // Handle process exit
     process.on("close", (code) => {
-        session.state = STATES.IDLE;
-        session.process = null;
-        session.isProcessing = false;
+        // Process was replaced or killed on purpose (cancel, logout)
+        const killedByBot = session.process !== process;
+
+        if (!killedByBot) {
+            session.state = STATES.IDLE;
+            session.process = null;
+            session.isProcessing = false;
+            session.pendingPrompt = null;
+            persistSession(userId);
+        }
 
         // Stop speed monitoring when process ends
         stopSpeedMonitoring(userId);
         stopProgressTimer(userId);
 
-        if (code === 0) {
+        if (killedByBot) {
+            console.log(`🛑 CLI process for user ${userId} stopped (code ${code})`);
+        } else if (code === 0) {
             ctx.reply(
                 "✅ Process completed successfully! Use /start to begin again.",
             );
@@ -1316,6 +2185,8 @@ function spawnCliProcess(userId, ctx) {
         session.state = STATES.IDLE;
         session.process = null;
         session.isProcessing = false;
+        session.pendingPrompt = null;
+        persistSession(userId);
 
         // Stop speed monitoring on error
         stopSpeedMonitoring(userId);
@@ -1325,38 +2196,59 @@ function spawnCliProcess(userId, ctx) {
     });
 }
 
-// Send input to CLI process
-function sendToProcess(userId, input) {
+// Send a message to the CLI process over its IPC channel
+function sendToProcess(userId, message) {
     const session = getUserSession(userId);
-    if (session.process && session.process.stdin && !session.process.killed) {
-        session.process.stdin.write(input + "\n");
+    if (session.process && session.process.connected && !session.process.killed) {
+        session.process.send(message);
         return true;
     }
     return false;
 }
 
+// Forwarded channel posts pick the source chat (and the post to start from)
+bot.on("message", (ctx, next) => {
+    const post = getForwardedPost(ctx.message);
+    if (!post) return next();
+
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const prompt = session.pendingPrompt;
+    session.chatId = ctx.chat.id;
+
+    if (session.state !== STATES.AWAITING_CHANNEL || !prompt) {
+        ctx.reply("📨 Forwarded posts choose the source channel. Use /start and forward it again when asked for the channel.");
+        return;
+    }
+
+    if (prompt.name === "sourceLink") {
+        submitSourceLink(userId, ctx, post.link);
+    } else {
+        // The chat list is already open, pick the forwarded chat from it
+        const index = (prompt.choices || []).findIndex((choice) => String(choice.value) === post.chatId);
+        if (index < 0) {
+            ctx.reply("❌ That channel is not in your chat list. Join it first or pick another chat.");
+            return;
+        }
+        session.buttonToken = null;
+        submitChannelChoice(userId, ctx, prompt.choices[index].value, prompt.choices[index].name);
+    }
+    persistSession(userId);
+});
+
 // Handle text messages
 bot.on("text", (ctx) => {
     const userId = ctx.from.id;
     const session = getUserSession(userId);
     const message = ctx.message.text.trim();
+    session.chatId = ctx.chat.id;
 
     // Set bot context for session sharing
     setBotContext(ctx);
 
     switch (session.state) {
         case STATES.AWAITING_CONSENT:
-            if (message.toUpperCase() === "I CONSENT") {
-                ctx.reply(
-                    "✅ Consent received.\n\n" +
-                    "🔑 Please enter your Telegram API ID:",
-                );
-                session.state = STATES.AWAITING_API_ID;
-            } else {
-                ctx.reply(
-                    '❌ You must type "I CONSENT" exactly to proceed, or /cancel to abort.',
-                );
-            }
+            sendConsentPrompt(userId, ctx);
             break;
 
         case STATES.AWAITING_API_ID:
@@ -1377,6 +2269,12 @@ bot.on("text", (ctx) => {
         case STATES.AWAITING_API_HASH:
             if (message.length > 10) {
                 session.apiHash = message;
+                // Saved sessions point at the workspace config for credentials
+                updateConfigFile(userId, session.apiId, session.apiHash);
+                if (session.loginMethod === "session") {
+                    askForSessionString(userId, ctx, "✅ API Hash saved.\n\n");
+                    break;
+                }
                 ctx.reply(
                     "✅ API Hash saved.\n\n" +
                     "🚀 Starting the script with your credentials...",
@@ -1394,7 +2292,7 @@ bot.on("text", (ctx) => {
 
         case STATES.AWAITING_PHONE:
             session.phone = message;
-            if (sendToProcess(userId, message)) {
+            if (answerPrompt(userId, message)) {
                 ctx.reply(
                     `📱 Phone number sent: ${message}\n` +
                     `Waiting for OTP...`,
@@ -1411,7 +2309,7 @@ bot.on("text", (ctx) => {
             let cleanOtp = message.replace(/&/g, "").replace(/[^0-9]/g, "");
 
             if (cleanOtp.length >= 4) {
-                if (sendToProcess(userId, cleanOtp)) {
+                if (answerPrompt(userId, cleanOtp)) {
                     ctx.reply(`🔐 OTP processed and sent\n` +
                                `Verifying...`);
                 } else {
@@ -1426,13 +2324,17 @@ bot.on("text", (ctx) => {
             }
             break;
 
-        case STATES.AWAITING_CHANNEL:
-            session.channel = message;
-            if (sendToProcess(userId, message)) {
-                ctx.reply(
-                    `📺 Channel/chat ID sent: ${message}\n` +
-                    `Waiting for options...`,
-                );
+        case STATES.AWAITING_PASSWORD:
+            // Never leave the password sitting in the chat history
+            ctx.deleteMessage().catch((error) => {
+                console.log(`⚠️ Could not delete password message for user ${userId}: ${error.message}`);
+                ctx.reply("⚠️ Could not delete your password message. Please delete it yourself.");
+            });
+
+            if (!session.pendingPrompt) {
+                ctx.reply("⏳ Still verifying your password, please wait...");
+            } else if (answerPrompt(userId, message)) {
+                ctx.reply("🔐 Password received. Verifying...");
             } else {
                 ctx.reply(
                     "❌ Error: Process not available. Please /start again.",
@@ -1440,95 +2342,76 @@ bot.on("text", (ctx) => {
             }
             break;
 
-        case STATES.AWAITING_OPTION:
-            session.option = message;
-            if (sendToProcess(userId, message)) {
-                ctx.reply(`⚙️ Option selected: ${message}`);
-            } else {
-                ctx.reply(
-                    "❌ Error: Process not available. Please /start again.",
-                );
+        case STATES.AWAITING_SESSION_STRING:
+            // The session string grants full account access, keep it out of the chat
+            ctx.deleteMessage().catch((error) => {
+                console.log(`⚠️ Could not delete session message for user ${userId}: ${error.message}`);
+                ctx.reply("⚠️ Could not delete your Session ID message. Please delete it yourself.");
+            });
+
+            if (message.length <= 10) {
+                ctx.reply("❌ That does not look like a Session ID. Please paste the full string:");
+                break;
             }
+            submitSessionString(userId, ctx, message);
             break;
 
-        case STATES.AWAITING_DESTINATION:
-            session.destination = message;
-            if (sendToProcess(userId, message)) {
-                ctx.reply(
-                    `📤 Destination set: ${message}\n` +
-                    `Starting download/upload process...`,
-                );
-                session.state = STATES.PROCESSING;
-            } else {
-                ctx.reply(
-                    "❌ Error: Process not available. Please /start again.",
-                );
+        case STATES.AWAITING_CHANNEL:
+        case STATES.AWAITING_DESTINATION: {
+            if (!session.pendingPrompt) {
+                ctx.reply("⏳ Please wait for the chat list...");
+                break;
             }
-            break;
 
-        case STATES.PROCESSING:
-            // During processing, forward any input to the process
-            if (session.process && !session.process.killed) {
-                sendToProcess(userId, message);
-            } else {
-                ctx.reply(
-                    "⏳ Process is running. Please wait for completion or use /cancel to stop.",
-                );
+            if (session.pendingPrompt.name === "sourceLink") {
+                submitSourceLink(userId, ctx, message);
+                break;
+            }
+
+            // An exact ID or name picks the chat, anything else searches
+            const answer = resolvePromptAnswer(session.pendingPrompt, message);
+            if (answer !== null) {
+                submitChannelChoice(userId, ctx, answer, message);
+                break;
+            }
+
+            if (!session.picker) {
+                openChannelPicker(userId, ctx, session.pendingPrompt);
             }
+            session.picker.query = message;
+            session.picker.page = 0;
+            sendChannelPicker(userId, ctx);
             break;
+        }
 
-        case STATES.AWAITING_CONTINUATION:
-            if (message.toUpperCase() === "ANOTHER") {
-                // Reset for another channel but keep session
-                session.state = STATES.AWAITING_CHANNEL;
-                session.channel = null;
-                session.option = null;
-                session.destination = null;
-                session.filesDownloaded = 0;
-                session.filesUploaded = 0;
-                session.filesRemaining = 0;
-                session.isProcessing = false; // Reset processing flag
-
-                // Clear progress tracking for new session
-                sessionStats.delete(userId);
-                completedBatches.delete(userId);
-                currentBatchFiles.delete(userId);
-                fileSizes.delete(userId); // Clear file size info too
+        case STATES.AWAITING_OPTION: {
+            const answer = resolvePromptAnswer(session.pendingPrompt, message);
+            if (answer === null) {
+                sendPrompt(userId, ctx, session.pendingPrompt);
+                break;
+            }
 
-                ctx.reply(
-                    "🔄 Starting new channel processing...\n\n" +
-                    "🚀 The script will continue with your existing credentials.\n" +
-                    "Please wait while we prepare the channel selection..."
-                );
+            submitOptionAnswer(userId, ctx, answer, message);
+            break;
+        }
 
-                // Restart the process with existing credentials
-                spawnCliProcess(userId, ctx);
-            } else if (message.toUpperCase() === "LOGOUT") {
-                // Full logout and session cleanup
-                killUserProcess(userId);
-                session.state = STATES.IDLE;
-                session.apiId = null;
-                session.apiHash = null;
-                session.phone = null;
-                session.isProcessing = false;
+        case STATES.PROCESSING:
+            // The CLI only takes answers to its prompts
+            ctx.reply(
+                "⏳ Process is running. Please wait for completion or use /cancel to stop.",
+            );
+            break;
 
-                // Clear all user data
-                sessionStats.delete(userId);
-                completedBatches.delete(userId);
-                currentBatchFiles.delete(userId);
-                fileSizes.delete(userId);
-                errorCounts.delete(userId);
-                speedMonitorIntervals.delete(userId);
+        case STATES.AWAITING_CONTINUATION:
+            sendContinuationPrompt(userId, ctx);
+            break;
 
-                ctx.reply(
-                    "👋 **Logged out successfully!**\n\n" +
-                    "Your session has been cleared. Use /start to begin a new session."
-                );
-            } else {
-                ctx.reply(
-                    '❌ Please type "ANOTHER" to process another channel or "LOGOUT" to end the session.'
-                );
-            }
+        case STATES.INTERRUPTED:
+            ctx.reply(
+                "♻️ Your last session was interrupted by a restart.\n" +
+                "Send /resume to continue it or /start to begin from scratch.",
+                buildKeyboard(session, "resume", [["🔄 Resume", "yes"], ["🆕 Start over", "no"]]),
+            );
             break;
 
         case STATES.IDLE:
@@ -1543,6 +2426,8 @@ bot.on("text", (ctx) => {
             );
             break;
     }
+
+    persistSession(userId);
 });
 
 } // End of setupBotHandlers function
@@ -1554,6 +2439,8 @@ process.on("SIGINT", () => {
     for (const [userId, session] of userSessions) {
         killUserProcess(userId);
     }
+    // Save sessions so interrupted jobs can be resumed after restart
+    persistAllSessions();
     // Close Express server
     server.close(() => {
         console.log("Express server closed");
@@ -1567,6 +2454,8 @@ process.on("SIGTERM", () => {
     for (const [userId, session] of userSessions) {
         killUserProcess(userId);
     }
+    // Save sessions so interrupted jobs can be resumed after restart
+    persistAllSessions();
     // Close Express server
     server.close(() => {
         console.log("Express server closed");
@@ -2150,6 +3039,9 @@ async function startBot() {
         // Setup bot event handlers
         setupBotHandlers();
 
+        // Bring back sessions from before the restart
+        await restoreSessions();
+
         // Clear any existing webhooks before launching
         await bot.telegram.deleteWebhook({ drop_pending_updates: true });
 
@@ -1,11 +1,15 @@
 "use strict";
 // example command script
 // - node cli script-name --option1=value1 --option2=value2
+// - node cli script-name --answers=answers.json   (answer prompts from a file)
 
 const fs = require("fs");
 const path = require("path");
 const { glob } = require("glob");
 const logger = require("./utils/logger");
+const { getWorkspaceDir } = require("./utils/helper");
+const { setPromptProvider } = require("./utils/input-helper");
+const { createScriptedProvider, readAnswersFile } = require("./utils/prompt-providers");
 const commandFile = path.join(__dirname, "./scripts");
 
 const commandFiles = glob.sync([`${commandFile}/**/*.js`]);
@@ -80,8 +84,13 @@ function parseArguments(argv) {
 
   args.forEach((arg) => {
     if (arg.startsWith("--")) {
-      const [key, value] = arg.slice(2).split("=", 2);
-      options[key] = value === undefined ? true : value;
+      // Values may contain "=" themselves, e.g. regex filters
+      const separator = arg.indexOf("=");
+      if (separator === -1) {
+        options[arg.slice(2)] = true;
+      } else {
+        options[arg.slice(2, separator)] = arg.slice(separator + 1);
+      }
     }
   });
 
@@ -120,13 +129,24 @@ async function runCommand(commandPath, options) {
  */
 
 (async () => {
-  if (!fs.existsSync("./export")) {
-    fs.mkdirSync("./export");
+  const exportPath = path.join(getWorkspaceDir(), "export");
+  if (!fs.existsSync(exportPath)) {
+    fs.mkdirSync(exportPath, { recursive: true });
   }
 
   const availableCommands = loadCommands(commandFiles);
   const { scriptSignature, options } = parseArguments(process.argv);
 
+  // Prompts are answered from the file instead of the terminal
+  if (options.answers) {
+    try {
+      setPromptProvider(createScriptedProvider(readAnswersFile(options.answers)));
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+  }
+
   if (scriptSignature) {
     const commandDetail = availableCommands[scriptSignature];
     if (commandDetail) {
@@ -2,14 +2,22 @@ const { TelegramClient } = require("telegram");
 const { updateCredentials, getCredentials } = require("../utils/file-helper");
 const { StringSession } = require("telegram/sessions");
 const { logMessage } = require("../utils/helper");
+const { EVENT_TYPES, AUTH_STATES, emitEvent, hasEventChannel } = require("../utils/job-events");
 
 const {
   textInput,
   mobileNumberInput,
   otpInput,
+  passwordInput,
   selectInput,
 } = require("../utils/input-helper");
 
+// Wrong two-step verification passwords allowed before giving up
+const MAX_PASSWORD_ATTEMPTS = 3;
+
+// How long a QR login waits for the code to be scanned
+const QR_LOGIN_TIMEOUT = 3 * 60 * 1000;
+
 // Global variable to store bot context for session sharing
 let globalBotContext = null;
 
@@ -20,7 +28,15 @@ const setBotContext = (ctx) => {
 
 // Function to send session ID to user via bot
 const sendSessionToUser = async (sessionId) => {
-  if (globalBotContext && sessionId) {
+  if (!sessionId) return;
+
+  // Running under the bot: let the parent deliver it to the right chat
+  if (hasEventChannel()) {
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.SESSION_CREATED, sessionId });
+    return;
+  }
+
+  if (globalBotContext) {
     try {
       const message = `🔑 Your Session ID (save this for future logins):\n\n\`${sessionId}\`\n\n⚠️ Keep this private! You can use this to login without OTP next time by selecting "Login with Session ID" option.`;
       await globalBotContext.reply(message, { parse_mode: 'Markdown' });
@@ -39,6 +55,129 @@ const OTP_METHOD = {
 let { apiHash, apiId, sessionId } = getCredentials();
 const stringSession = new StringSession(sessionId || "");
 
+/**
+ * Creates an onError helper that counts wrong 2FA passwords. The client keeps
+ * asking for the password until an error escapes, so after MAX_PASSWORD_ATTEMPTS
+ * wrong tries the helper throws.
+ * @returns {Function} Called with the login error, returns true if it was a wrong password.
+ */
+const createPasswordErrorHandler = () => {
+  let passwordAttempts = 0;
+
+  return (err) => {
+    if (!err.message || !err.message.includes("PASSWORD_HASH_INVALID")) {
+      return false;
+    }
+
+    passwordAttempts++;
+    const attemptsLeft = MAX_PASSWORD_ATTEMPTS - passwordAttempts;
+    if (attemptsLeft <= 0) {
+      throw new Error("PASSWORD_HASH_INVALID: Too many wrong two-step verification passwords.");
+    }
+
+    console.log(`❌ Wrong password, ${attemptsLeft} attempt(s) left.`);
+    emitEvent(EVENT_TYPES.AUTH_STATE, {
+      state: AUTH_STATES.PASSWORD_INVALID,
+      attemptsLeft,
+    });
+    return true;
+  };
+};
+
+/**
+ * Logs in by QR code: a login token is exported and shown as a tg://login
+ * link (rendered as a QR image by the bot), and refreshed until it is
+ * scanned from another logged-in device or QR_LOGIN_TIMEOUT passes.
+ * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ */
+const qrCodeLogin = async () => {
+  const client = new TelegramClient(new StringSession(""), apiId, apiHash, {
+    connectionRetries: 8,
+    retryDelay: 2000,
+    timeout: 30000,
+    useWSS: false,
+    testServers: false,
+  });
+  const handlePasswordError = createPasswordErrorHandler();
+  const deadline = Date.now() + QR_LOGIN_TIMEOUT;
+
+  try {
+    await client.connect();
+    await client.signInUserWithQrCode(
+      { apiId, apiHash },
+      {
+        qrCode: async ({ token, expires }) => {
+          if (Date.now() > deadline) {
+            throw new Error("QR_LOGIN_TIMEOUT: The QR code was not scanned in time.");
+          }
+
+          const url = `tg://login?token=${Buffer.from(token).toString("base64url")}`;
+          logMessage.info(`Scan this login link from a logged-in device: ${url}`);
+          emitEvent(EVENT_TYPES.AUTH_STATE, {
+            state: AUTH_STATES.QR_CODE,
+            url,
+            expires,
+          });
+        },
+        password: async (hint) => await passwordInput(hint),
+        onError: (err) => {
+          logMessage.error(err);
+          // Only a wrong 2FA password is asked again, anything else stops the login
+          return !handlePasswordError(err);
+        },
+      }
+    );
+  } catch (err) {
+    await client.disconnect().catch(() => {});
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.FAILED, reason: err.message });
+    throw err;
+  }
+
+  logMessage.success("QR code login successful.");
+  emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.LOGGED_IN, method: "qr" });
+
+  sessionId = client.session.save();
+  updateCredentials({ sessionId });
+  await sendSessionToUser(sessionId);
+
+  return client;
+};
+
+/**
+ * Logs in with the saved session only, never prompting. Headless jobs use
+ * it since nobody is there to type a phone number or code.
+ * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ */
+const initSavedSession = async () => {
+  if (!sessionId) {
+    throw new Error("No saved login in this workspace, log in once interactively first");
+  }
+
+  const client = new TelegramClient(stringSession, apiId, apiHash, {
+    connectionRetries: 8,
+    retryDelay: 2000,
+    timeout: 30000,
+    useWSS: false,
+    testServers: false,
+  });
+  await client.connect();
+
+  if (!(await client.checkAuthorization())) {
+    await client.disconnect().catch(() => {});
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.SESSION_INVALID });
+    throw new Error("The saved login has expired, log in again interactively");
+  }
+
+  const me = await client.getMe();
+  logMessage.success(`Logged in with the saved session as ${me.firstName || "user"}`);
+  emitEvent(EVENT_TYPES.AUTH_STATE, {
+    state: AUTH_STATES.LOGGED_IN,
+    method: "session",
+    firstName: me.firstName || null,
+  });
+  return client;
+};
+
 /**
  * Initializes the authentication process for the Telegram client.
  * @param {string} [otpPreference=OTP_METHOD.APP] - The preferred method for receiving the OTP (either 'app' or 'sms').
@@ -50,16 +189,22 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
   if (!loginMethod && securityRetryCount === 0) {
     const loginOptions = [
       { name: "🔐 Login with OTP (Phone verification)", value: "otp" },
-      { name: "🗝️ Login with Session ID (Quick login)", value: "session" }
+      { name: "🗝️ Login with Session ID (Quick login)", value: "session" },
+      { name: "📷 Login with QR code (Scan from another device)", value: "qr" }
     ];
     
-    loginMethod = await selectInput("Choose login method:", loginOptions);
+    loginMethod = await selectInput("Choose login method:", loginOptions, "loginMethod");
+  }
+
+  // QR login never relays a code through anyone, so no OTP fallback is needed
+  if (loginMethod === "qr" && securityRetryCount === 0) {
+    return await qrCodeLogin();
   }
 
   // Handle session ID login
   if (loginMethod === "session" && securityRetryCount === 0) {
     try {
-      const sessionIdInput = await textInput("Enter your Session ID:");
+      const sessionIdInput = await textInput("Enter your Session ID:", "sessionId");
       if (sessionIdInput && sessionIdInput.trim().length > 10) {
         console.log("🔄 Attempting login with provided Session ID...");
         const sessionStringFromInput = new StringSession(sessionIdInput.trim());
@@ -77,6 +222,11 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
         try {
           const me = await sessionClient.getMe();
           console.log(`✅ Session login successful! Welcome back, ${me.firstName || 'User'}`);
+          emitEvent(EVENT_TYPES.AUTH_STATE, {
+            state: AUTH_STATES.LOGGED_IN,
+            method: "session",
+            firstName: me.firstName || null,
+          });
           
           // Update stored session
           sessionId = sessionIdInput.trim();
@@ -97,6 +247,7 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
     }
     
     // Reset to OTP login if session login fails
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.SESSION_INVALID });
     loginMethod = "otp";
   }
   // Generate random device configuration for security error recovery
@@ -167,16 +318,21 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
       otpPreference = await selectInput("Where do you want the login OTP:", [
         OTP_METHOD.APP,
         OTP_METHOD.SMS,
-      ]);
+      ], "otpMethod");
     }
 
     const forceSMS = otpPreference === OTP_METHOD.SMS;
+    const handlePasswordError = createPasswordErrorHandler();
 
     await client.start({
       phoneNumber: async () => await mobileNumberInput(),
-      password: async () => await textInput("Enter your password"),
+      password: async (hint) => await passwordInput(hint),
       phoneCode: async (isCodeViaApp) => {
         logMessage.info(`OTP sent over ${isCodeViaApp ? "APP" : "SMS"}`);
+        emitEvent(EVENT_TYPES.AUTH_STATE, {
+          state: AUTH_STATES.CODE_SENT,
+          via: isCodeViaApp ? OTP_METHOD.APP : OTP_METHOD.SMS,
+        });
 
         return await otpInput();
       },
@@ -184,6 +340,11 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
       onError: (err) => {
         logMessage.error(err);
 
+        // Wrong 2FA password: the client asks for it again
+        if (handlePasswordError(err)) {
+          return false;
+        }
+
         // Enhanced error handling for PHONE_NUMBER_BANNED
         if (err.message && err.message.includes("PHONE_NUMBER_BANNED")) {
           console.log("\n🚨 PHONE NUMBER BANNED FOR API ACCESS 🚨");
@@ -279,6 +440,7 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
     });
 
     logMessage.success("You should now be connected.");
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.LOGGED_IN, method: "otp" });
 
     if (!sessionId) {
       sessionId = client.session.save();
@@ -338,7 +500,11 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
         console.log(`5. 🛡️ Never share login codes with anyone`);
         console.log(``);
         console.log(`⚠️  This is Telegram's anti-abuse protection working.`);
-        
+
+        emitEvent(EVENT_TYPES.AUTH_STATE, {
+          state: AUTH_STATES.FAILED,
+          reason: "AUTHENTICATION_BLOCKED",
+        });
         throw new Error("AUTHENTICATION_BLOCKED: Maximum security retries reached. Wait 1-2 hours and try again with fresh session.");
       }
     }
@@ -352,12 +518,14 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
       }
     }
 
+    emitEvent(EVENT_TYPES.AUTH_STATE, { state: AUTH_STATES.FAILED, reason: err.message });
     throw err;
   }
 };
 
 module.exports = {
   initAuth,
+  initSavedSession,
   setBotContext,
   sendSessionToUser,
 };
\ No newline at end of file
@@ -1,8 +1,9 @@
 const ejs = require('ejs');
 const fs = require("fs");
 const path = require('path');
+const { utils } = require("telegram");
 const { updateLastSelection } = require("../utils/file-helper");
-const { logMessage, getDialogType, circularStringify } = require("../utils/helper");
+const { logMessage, getDialogType, circularStringify, getWorkspaceDir } = require("../utils/helper");
 const { numberInput, textInput, booleanInput } = require('../utils/input-helper');
 
 /**
@@ -35,9 +36,10 @@ const getAllDialogs = async (client, sortByName = true) => {
         const channelTemplateFile = path.resolve(__dirname, '../templates/channels.ejs');
         const renderedHtml = await ejs.renderFile(channelTemplateFile, { channels: dialogList });
 
-        fs.writeFileSync("./export/raw_dialog_list.json", circularStringify(dialogs, null, 2));
-        fs.writeFileSync("./export/dialog_list.html", renderedHtml);
-        fs.writeFileSync("./export/dialog_list.json", JSON.stringify(dialogList, null, 2));
+        const exportPath = path.join(getWorkspaceDir(), "export");
+        fs.writeFileSync(path.join(exportPath, "raw_dialog_list.json"), circularStringify(dialogs, null, 2));
+        fs.writeFileSync(path.join(exportPath, "dialog_list.html"), renderedHtml);
+        fs.writeFileSync(path.join(exportPath, "dialog_list.json"), JSON.stringify(dialogList, null, 2));
 
         return dialogList;
     } catch (error) {
@@ -53,7 +55,7 @@ const getAllDialogs = async (client, sortByName = true) => {
  */
 const userDialogSelection = async (dialogs) => {
     try {
-        const selectedChannelNumber = await numberInput(`Please select from above list (1-${dialogs.length}): `, 1, dialogs.length);
+        const selectedChannelNumber = await numberInput(`Please select from above list (1-${dialogs.length}): `, 1, dialogs.length, "dialogNumber");
 
         if (selectedChannelNumber > dialogs.length) {
             logMessage.error("Invalid Input");
@@ -96,10 +98,10 @@ const selectDialog = async (dialogs) => {
  */
 const searchDialog = async (dialogs) => {
     try {
-        const searchString = await textInput('Please enter name of channel to search');
+        const searchString = await textInput('Please enter name of channel to search', "dialogSearch");
         searchThroughDialogsWithSearchString(dialogs, searchString);
 
-        const foundWantedDialog = await booleanInput('Found channel? If answering with "no" you can search again');
+        const foundWantedDialog = await booleanInput('Found channel? If answering with "no" you can search again', "dialogFound");
         if (foundWantedDialog) {
             return await userDialogSelection(dialogs);
         } else {
@@ -131,7 +133,7 @@ const searchThroughDialogsWithSearchString = (dialogs, searchString) => {
  */
 const getDialogName = async (client, channelId) => {
     try {
-        const diaLogPath = path.resolve(process.cwd(), "./export/dialog_list.json");
+        const diaLogPath = path.join(getWorkspaceDir(), "export", "dialog_list.json");
         if(!fs.existsSync(diaLogPath)) {
             await getAllDialogs(client);
             process.exit(0);
@@ -146,9 +148,27 @@ const getDialogName = async (client, channelId) => {
     }
 };
 
+/**
+ * Resolves a parsed chat reference (see utils/link-parser) to the chat it points at.
+ * Private chats resolve only when the account is a member.
+ * @param {Object} client - The client object.
+ * @param {Object} reference - { username } or { channelId }.
+ * @returns {Promise<Object>} - { channelId, name } with the marked chat ID.
+ */
+const resolveChatReference = async (client, reference) => {
+    const entity = await client.getEntity(reference.username || reference.channelId);
+    const name = entity.title ||
+        [entity.firstName, entity.lastName].filter(Boolean).join(" ") ||
+        entity.username ||
+        null;
+
+    return { channelId: utils.getPeerId(entity), name };
+};
+
 module.exports = {
     getAllDialogs,
     selectDialog,
     searchDialog,
-    getDialogName
+    getDialogName,
+    resolveChatReference
 };
\ No newline at end of file
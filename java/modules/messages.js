@@ -1,7 +1,10 @@
 const fs = require("fs");
 const path = require("path");
+const { Api, helpers, utils } = require("telegram");
+const { CustomFile } = require("telegram/client/uploads");
 const logger = require("../utils/logger");
-const { circularStringify } = require("../utils/helper");
+const { circularStringify, getMediaSize } = require("../utils/helper");
+const { prependText } = require("../utils/caption-rules");
 
 const getMessages = async (client, channelId, limit = 10, offsetId = 0, reverse = false) => {
   if (!client || !channelId) {
@@ -33,6 +36,96 @@ const getMessageDetail = async (client, channelId, messageIds) => {
   }
 };
 
+// Resumed downloads restart at a multiple of this, Telegram serves file
+// parts on 512KB boundaries
+const RESUME_ALIGNMENT = 512 * 1024;
+
+/**
+ * Gets the staging file a download is written to before it is complete.
+ * @param {string} mediaPath Final file path
+ * @returns {string} The ".part" path
+ */
+const getPartPath = (mediaPath) => `${mediaPath}.part`;
+
+/**
+ * Downloads a document into a ".part" staging file, continuing from the
+ * bytes already staged by an earlier attempt, run or file reference refresh.
+ * The part is renamed to mediaPath only once its size matches the document.
+ * @param {Object} client Telegram client
+ * @param {Object} message Telegram message with a document
+ * @param {string} mediaPath Final file path
+ * @param {Object} [options]
+ * @param {number} [options.requestSize] Bytes per request
+ * @param {Function} [options.progressCallback] Called with (downloaded, total) bytes
+ * @returns {Promise<boolean>} True once the file is complete at mediaPath
+ */
+const downloadResumable = async (client, message, mediaPath, options = {}) => {
+  const { requestSize = RESUME_ALIGNMENT, progressCallback = null } = options;
+  const document = message.media.document;
+  const fileSize = Number(document.size);
+  const partPath = getPartPath(mediaPath);
+  const metaPath = `${partPath}.json`;
+
+  // A part left by a different file (e.g. the post was edited) is useless
+  let offset = 0;
+  if (fs.existsSync(partPath)) {
+    let meta = null;
+    try {
+      meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+    } catch (_) {
+      // Missing or unreadable, the part cannot be trusted
+    }
+
+    if (meta && String(meta.documentId) === String(document.id) && meta.size === fileSize) {
+      const staged = Math.min(fs.statSync(partPath).size, fileSize);
+      offset = staged - (staged % RESUME_ALIGNMENT);
+    }
+  }
+  fs.writeFileSync(metaPath, JSON.stringify({ documentId: String(document.id), size: fileSize }));
+
+  if (offset > 0) {
+    logger.info(`⏯️ Resuming ${path.basename(mediaPath)} at ${(offset / 1024 / 1024).toFixed(1)}MB of ${(fileSize / 1024 / 1024).toFixed(1)}MB`);
+  }
+
+  // Drop any unaligned tail, it is downloaded again
+  const fd = fs.openSync(partPath, offset > 0 ? "r+" : "w");
+  try {
+    fs.ftruncateSync(fd, offset);
+
+    if (offset < fileSize) {
+      const chunks = client.iterDownload({
+        file: message.media,
+        offset: helpers.returnBigInt(offset),
+        requestSize,
+        fileSize: helpers.returnBigInt(fileSize),
+      });
+
+      for await (const chunk of chunks) {
+        fs.writeSync(fd, chunk, 0, chunk.length, offset);
+        offset += chunk.length;
+        if (progressCallback) {
+          progressCallback(offset, fileSize);
+        }
+        if (offset >= fileSize) break;
+      }
+    }
+
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const staged = fs.statSync(partPath).size;
+  if (staged !== fileSize) {
+    // Keep the part, the next attempt continues from it
+    throw new Error(`Incomplete download: ${staged} of ${fileSize} bytes`);
+  }
+
+  fs.renameSync(partPath, mediaPath);
+  fs.rmSync(metaPath, { force: true });
+  return true;
+};
+
 /**
  * ULTRA-OPTIMIZED Download for consistent 30 Mbps with single-file boost
  * @param {Object} client Telegram client
@@ -41,6 +134,7 @@ const getMessageDetail = async (client, channelId, messageIds) => {
  * @param {number} fileIndex Current file number (1-based)
  * @param {number} totalFiles Total files in this batch
  * @param {Object} options Ultra-speed optimization options
+ * @param {Function} [options.onProgress] Called with (downloaded, total, startTime) bytes
  */
 const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, totalFiles = 1, options = {}) => {
   const {
@@ -48,7 +142,8 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
     chunkSize = 2 * 1024 * 1024, // 2MB chunks for optimal memory usage
     workerIndex = 0,
     optimizeForSpeed = true,
-    stabilizeSpeed = true
+    stabilizeSpeed = true,
+    onProgress = null
   } = options;
 
   // Detect single file optimization
@@ -173,11 +268,14 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
         requestSize: 2 * 1024 * 1024, // 2MB request size for maximum throughput
         partSizeKb: 1024, // Larger parts for single file speed
         dcId: undefined, // Auto-select optimal data center
-        fileSize: message.media?.document?.size || message.media?.photo?.sizes?.[0]?.size,
+        fileSize: getMediaSize(message) || undefined,
         maxConcurrentDownloads: Math.min(workers, 48), // Maximum concurrency
         downloadTimeout: 300000, // 5 minutes timeout for large files
         retryDelay: 500, // Faster retry for single files
         progressCallback: (downloaded, total) => {
+          if (onProgress) {
+            onProgress(Number(downloaded), Number(total), startTime);
+          }
           if (total > 0) {
             const percent = ((downloaded / total) * 100).toFixed(2);
             const elapsedSeconds = (Date.now() - startTime) / 1000;
@@ -201,11 +299,14 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
         requestSize: 1 * 1024 * 1024, // 1MB request size for stability
         partSizeKb: 512, // 512KB parts for consistent performance
         dcId: undefined, // Auto-select optimal data center
-        fileSize: message.media?.document?.size || message.media?.photo?.sizes?.[0]?.size,
+        fileSize: getMediaSize(message) || undefined,
         maxConcurrentDownloads: Math.min(workers, 24),
         downloadTimeout: 180000, // 3 minutes timeout
         retryDelay: 1000, // 1 second retry delay for stability
         progressCallback: (downloaded, total) => {
+          if (onProgress) {
+            onProgress(Number(downloaded), Number(total), startTime);
+          }
           if (total > 0) {
             const percent = ((downloaded / total) * 100).toFixed(2);
             const elapsedSeconds = (Date.now() - startTime) / 1000;
@@ -223,8 +324,27 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
         }
       };
 
-      await client.downloadMedia(message, downloadSettings);
+      if (message.media.document) {
+        await downloadResumable(client, message, mediaPath, {
+          requestSize: downloadSettings.requestSize,
+          progressCallback: downloadSettings.progressCallback,
+        });
+        return true;
+      }
 
+      // Other media is small, download it into memory (gramjs does not wait
+      // for its file writes to finish), then stage it and move it into place
+      const buffer = await client.downloadMedia(message, downloadSettings);
+      if (!buffer || buffer.length === 0) {
+        throw new Error(`Nothing was downloaded for message ${message.id}`);
+      }
+      const expectedSize = getMediaSize(message);
+      if (expectedSize > 0 && buffer.length !== expectedSize) {
+        throw new Error(`Incomplete download of message ${message.id}: ${buffer.length} of ${expectedSize} bytes`);
+      }
+      const partPath = getPartPath(mediaPath);
+      fs.writeFileSync(partPath, buffer);
+      fs.renameSync(partPath, mediaPath);
 
       return true;
 
@@ -254,10 +374,183 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
 
   } catch (err) {
     logger.error(`Error downloading media for message ${message.id}: ${err.message}`);
+    // The caller refreshes the message and resumes from the staged part
+    if (err.message && err.message.includes("FILE_REFERENCE")) {
+      throw err;
+    }
     return false;
   }
 };
 
+/**
+ * Uploads the parts of a local file to Telegram without posting anything.
+ * The returned handle can be passed to uploadMessageToChannel, so several
+ * files can upload at once while their posts are still sent in order.
+ * @param {Object} client Telegram client
+ * @param {string} mediaPath Local media file path
+ * @param {number} [workers=8] Parallel part uploads for this file
+ * @returns {Promise<Object>} The uploaded InputFile / InputFileBig
+ */
+const uploadMediaFile = async (client, mediaPath, workers = 8) => {
+  const size = fs.statSync(mediaPath).size;
+  return await client.uploadFile({
+    file: new CustomFile(path.basename(mediaPath), size, mediaPath),
+    workers,
+  });
+};
+
+// Errors meaning the target does not take a recreated poll, location,
+// venue or contact, which is then posted as text instead
+const NATIVE_MEDIA_REJECTED = [
+  "CHAT_SEND_POLL_FORBIDDEN",
+  "CHAT_SEND_MEDIA_FORBIDDEN",
+  "MEDIA_INVALID",
+  "POLL_",
+  "QUIZ_",
+];
+
+// Media recreated from the message itself rather than from a downloaded file
+const NATIVE_MEDIA_TYPES = [
+  "MessageMediaPoll",
+  "MessageMediaVenue",
+  "MessageMediaGeo",
+  "MessageMediaGeoLive",
+  "MessageMediaContact",
+];
+
+/**
+ * Whether a message's media is a poll, location, venue or contact, which
+ * needs no download to be mirrored
+ * @param {Object} media Message media
+ * @returns {boolean} True for media that buildNativeMedia recreates
+ */
+const isNativeMedia = (media) => Boolean(media) && NATIVE_MEDIA_TYPES.includes(media.className);
+
+/**
+ * Build the media that recreates a poll, location, venue or contact in
+ * another chat
+ * @param {Object} media Source message media
+ * @returns {Object|null} The InputMedia, or null for other media
+ */
+const buildNativeMedia = (media) => {
+  switch (media.className) {
+    case "MessageMediaPoll": {
+      const { poll, results } = media;
+      const correctAnswers = ((results && results.results) || [])
+        .filter((answer) => answer.correct)
+        .map((answer) => answer.option);
+      // The correct answer is only visible after voting, without it a quiz cannot be created
+      const quiz = Boolean(poll.quiz) && correctAnswers.length > 0;
+      if (poll.quiz && !quiz) {
+        logger.warn("⚠️ Correct answer of the quiz is not visible to this account, posting it as a regular poll");
+      }
+      // A poll that closed or is about to close is posted open
+      const closeDate = poll.closeDate && poll.closeDate > Date.now() / 1000 + 60 ? poll.closeDate : undefined;
+
+      return new Api.InputMediaPoll({
+        poll: new Api.Poll({
+          id: helpers.generateRandomLong(),
+          publicVoters: Boolean(poll.publicVoters),
+          multipleChoice: Boolean(poll.multipleChoice),
+          quiz,
+          question: poll.question,
+          answers: poll.answers,
+          closeDate,
+        }),
+        correctAnswers: quiz ? correctAnswers : undefined,
+        solution: quiz && results.solution ? results.solution : undefined,
+        solutionEntities: quiz && results.solution ? results.solutionEntities || [] : undefined,
+      });
+    }
+    case "MessageMediaVenue":
+      return new Api.InputMediaVenue({
+        geoPoint: new Api.InputGeoPoint({ lat: media.geo.lat, long: media.geo.long }),
+        title: media.title,
+        address: media.address,
+        provider: media.provider || "",
+        venueId: media.venueId || "",
+        venueType: media.venueType || "",
+      });
+    case "MessageMediaGeo":
+    case "MessageMediaGeoLive":
+      // A live location is posted as the point it was at
+      return new Api.InputMediaGeoPoint({
+        geoPoint: new Api.InputGeoPoint({
+          lat: media.geo.lat,
+          long: media.geo.long,
+          accuracyRadius: media.geo.accuracyRadius,
+        }),
+      });
+    case "MessageMediaContact":
+      return new Api.InputMediaContact({
+        phoneNumber: media.phoneNumber || "",
+        firstName: media.firstName || "",
+        lastName: media.lastName || "",
+        vcard: media.vcard || "",
+      });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe a poll, location, venue or contact as text, for targets that do
+ * not take the real thing
+ * @param {Object} media Source message media
+ * @returns {string} The text, ending in an empty line
+ */
+const describeNativeMedia = (media) => {
+  switch (media.className) {
+    case "MessageMediaPoll": {
+      const { poll } = media;
+      const text = (value) => (value && value.text !== undefined ? value.text : String(value));
+      return `📊 Poll: ${text(poll.question)}\n\nOptions:\n${poll.answers.map((ans, i) => `${i + 1}. ${text(ans.text)}`).join('\n')}\n\n`;
+    }
+    case "MessageMediaVenue":
+      return `🏢 Venue: ${media.title}\nAddress: ${media.address}\n📍 ${media.geo.lat}, ${media.geo.long}\n\n`;
+    case "MessageMediaGeo":
+    case "MessageMediaGeoLive":
+      return `📍 Location: ${media.geo.lat}, ${media.geo.long}\n\n`;
+    case "MessageMediaContact":
+      return `👤 Contact: ${media.firstName} ${media.lastName || ''}\nPhone: ${media.phoneNumber}\n\n`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * Send a poll, location, venue or contact built by buildNativeMedia. A
+ * poll with public voters is sent again without them when the target is a
+ * channel.
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {Object} message Source message
+ * @param {number} [replyToId] Target message to send it as a reply to
+ * @returns {Promise<Object>} The posted message
+ */
+const sendNativeMedia = async (client, targetChannelId, message, replyToId = null) => {
+  const peer = await client.getInputEntity(targetChannelId);
+  const send = async (media) => {
+    const request = new Api.messages.SendMedia({
+      peer,
+      media,
+      message: "",
+      replyTo: replyToId ? new Api.InputReplyToMessage({ replyToMsgId: replyToId }) : undefined,
+      silent: true,
+    });
+    return client._getResponseMessage(request, await client.invoke(request), peer);
+  };
+
+  const media = buildNativeMedia(message.media);
+  try {
+    return await send(media);
+  } catch (error) {
+    if (!error.message.includes("BROADCAST_PUBLIC_VOTERS_FORBIDDEN")) throw error;
+    media.poll.publicVoters = false;
+    return await send(media);
+  }
+};
+
 /**
  * Upload a message with media to a target channel with preserved caption/text
  * Optimized for 30 Mbps upload speed with single-file boost capability
@@ -266,22 +559,25 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
  * @param {Object} message Original message object
  * @param {string} mediaPath Local media file path (optional)
  * @param {boolean} isSingleFile Whether this is a single file upload (enables boost mode)
+ * @param {Object} [uploadedFile] Handle from uploadMediaFile, skips uploading mediaPath again
+ * @param {number} [replyToId] Target message to send the post as a reply to
+ * @param {Object} [caption] Rewritten { text, entities } to post instead of the source caption
  */
-const uploadMessageToChannel = async (client, targetChannelId, message, mediaPath = null, isSingleFile = false) => {
+const uploadMessageToChannel = async (client, targetChannelId, message, mediaPath = null, isSingleFile = false, uploadedFile = null, replyToId = null, caption = null) => {
   try {
     if (!client || !targetChannelId || !message) {
       throw new Error("Client, targetChannelId, and message are required");
     }
 
-    // Preserve original caption/text exactly as it appears
-    const originalCaption = message.message || "";
-    const originalEntities = message.entities || [];
+    // Preserve original caption/text exactly as it appears, unless rewritten
+    const originalCaption = caption ? caption.text : message.message || "";
+    const originalEntities = caption ? caption.entities : message.entities || [];
 
     // Dynamic upload settings: SINGLE-FILE BOOST vs BALANCED batch performance
     let uploadOptions = {
       message: originalCaption,
-      entities: originalEntities,
-      parseMode: null, // Use entities instead of parseMode for exact preservation
+      formattingEntities: originalEntities, // Entities instead of a parse mode for exact preservation
+      replyTo: replyToId || undefined,
       silent: true,
       uploadStartTime: Date.now(),
       // Dynamic settings based on single file vs batch
@@ -316,6 +612,25 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
         }
     };
 
+    // Polls, locations, venues and contacts are recreated as the real thing.
+    // They carry no caption, so caption rules do not apply to them.
+    if (isNativeMedia(message.media)) {
+      try {
+        return await sendNativeMedia(client, targetChannelId, message, replyToId);
+      } catch (error) {
+        if (!NATIVE_MEDIA_REJECTED.some((code) => error.message.includes(code))) throw error;
+        logger.warn(`⚠️ Target does not take ${message.media.className} of message ${message.id}, posting it as text: ${error.message}`);
+      }
+
+      const fallback = prependText({ text: originalCaption, entities: originalEntities }, describeNativeMedia(message.media));
+      return await client.sendMessage(targetChannelId, {
+        message: fallback.text.trimEnd(),
+        formattingEntities: fallback.entities,
+        replyTo: uploadOptions.replyTo,
+        silent: true,
+      });
+    }
+
     // Handle different types of content
     if (message.media) {
       if (mediaPath && fs.existsSync(mediaPath)) {
@@ -383,26 +698,14 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
         return false;
       }
 
-      // Handle special media types
-      if (message.media.poll) {
-        const pollData = message.media.poll;
-        uploadOptions.message = `📊 Poll: ${pollData.question}\n\nOptions:\n${pollData.answers.map((ans, i) => `${i + 1}. ${ans.text}`).join('\n')}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.geo) {
-        const geo = message.media.geo;
-        uploadOptions.message = `📍 Location: ${geo.lat}, ${geo.long}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.contact) {
-        const contact = message.media.contact;
-        uploadOptions.message = `👤 Contact: ${contact.firstName} ${contact.lastName || ''}\nPhone: ${contact.phoneNumber}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.venue) {
-        const venue = message.media.venue;
-        uploadOptions.message = `🏢 Venue: ${venue.title}\nAddress: ${venue.address}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.webpage) {
+      // Link previews are posted as text with the page details
+      if (message.media.webpage) {
         const webpage = message.media.webpage;
-        uploadOptions.message = `🔗 ${webpage.title || 'Webpage'}\n${webpage.url}\n${webpage.description || ''}\n\n${originalCaption}`;
+        const header = `🔗 ${webpage.title || 'Webpage'}\n${webpage.url}\n${webpage.description || ''}\n\n`;
+        // The caption's entities move along behind the generated text
+        const withHeader = prependText({ text: originalCaption, entities: originalEntities }, header);
+        uploadOptions.message = withHeader.text;
+        uploadOptions.formattingEntities = withHeader.entities;
         delete uploadOptions.file;
       }
 
@@ -422,9 +725,10 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
       const originalFileSize = fs.statSync(uploadOptions.file).size;
       
       result = await client.sendFile(targetChannelId, {
-        file: uploadOptions.file,
+        file: uploadedFile || uploadOptions.file,
         caption: uploadOptions.message,
-        entities: uploadOptions.entities,
+        formattingEntities: uploadOptions.formattingEntities,
+        replyTo: uploadOptions.replyTo,
         supportsStreaming: uploadOptions.supportsStreaming,
         duration: uploadOptions.duration,
         width: uploadOptions.width,
@@ -465,20 +769,122 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
 };
 
 /**
- * Forward a message to target channel
+ * Upload the items of an album to a target channel as a single media group,
+ * keeping each item's caption and formatting entities
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {Array<Object>} items Album items in order, each { message, mediaPath, uploadedFile },
+ * plus an optional rewritten caption { text, entities }
+ * @param {number} [replyToId] Target message to send the album as a reply to
+ * @returns {Promise<Array<Object>>} The posted messages, in the same order
+ */
+const uploadAlbumToChannel = async (client, targetChannelId, items, replyToId = null) => {
+  try {
+    if (!client || !targetChannelId || !items || items.length === 0) {
+      throw new Error("Client, targetChannelId, and album items are required");
+    }
+
+    const peer = await client.getInputEntity(targetChannelId);
+    const multiMedia = [];
+
+    for (const { message, mediaPath, uploadedFile, caption } of items) {
+      const file = uploadedFile || await uploadMediaFile(client, mediaPath);
+
+      let media;
+      if (message.media.photo) {
+        media = new Api.InputMediaUploadedPhoto({ file });
+      } else {
+        const doc = message.media.document;
+        media = new Api.InputMediaUploadedDocument({
+          file,
+          mimeType: doc.mimeType || "application/octet-stream",
+          attributes: doc.attributes || [],
+        });
+      }
+
+      // Media groups only accept media that is already stored on Telegram
+      const stored = await client.invoke(new Api.messages.UploadMedia({ peer, media }));
+      multiMedia.push(new Api.InputSingleMedia({
+        media: utils.getInputMedia(stored.photo || stored.document),
+        message: caption ? caption.text : message.message || "",
+        entities: caption ? caption.entities : message.entities || [],
+      }));
+      logger.info(`🖼️ Album item ready: ${path.basename(mediaPath)}`);
+    }
+
+    const result = await client.invoke(new Api.messages.SendMultiMedia({
+      peer,
+      multiMedia,
+      replyTo: replyToId ? new Api.InputReplyToMessage({ replyToMsgId: replyToId }) : undefined,
+      silent: true,
+    }));
+
+    return client._getResponseMessage(multiMedia.map((item) => item.randomId), result, peer);
+  } catch (error) {
+    throw new Error(`Failed to upload album: ${error.message}`);
+  }
+};
+
+/**
+ * Replace the text or caption of a mirrored message with the source's
+ * current text and formatting entities
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {number} targetMessageId The mirrored message
+ * @param {Object} message Edited source message
+ * @param {Object} [caption] Rewritten { text, entities } to use instead of the source's
+ * @returns {Promise<boolean>} False when the text was already the same
+ */
+const editMirroredMessage = async (client, targetChannelId, targetMessageId, message, caption = null) => {
+  try {
+    await client.editMessage(targetChannelId, {
+      message: targetMessageId,
+      text: caption ? caption.text : message.message || "",
+      formattingEntities: caption ? caption.entities : message.entities || [],
+    });
+    return true;
+  } catch (error) {
+    if (error.message && error.message.includes("MESSAGE_NOT_MODIFIED")) {
+      return false;
+    }
+    throw new Error(`Failed to edit message: ${error.message}`);
+  }
+};
+
+/**
+ * Delete mirrored messages from a target channel
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {Array<number>} targetMessageIds Messages to delete
+ */
+const deleteMirroredMessages = async (client, targetChannelId, targetMessageIds) => {
+  try {
+    await client.deleteMessages(targetChannelId, targetMessageIds, { revoke: true });
+  } catch (error) {
+    throw new Error(`Failed to delete messages: ${error.message}`);
+  }
+};
+
+/**
+ * Forward messages to target channel server-side, without downloading them.
+ * Forwarding all items of an album at once keeps them grouped.
  * @param {Object} client Telegram client
  * @param {string} targetChannelId Target channel ID
  * @param {string} sourceChannelId Source channel ID
- * @param {number} messageId Message ID to forward
+ * @param {number|Array<number>} messageIds Message ID(s) to forward, in order
+ * @param {boolean} [hideSender=false] Copy without the "Forwarded from" header
+ * @returns {Promise<Array<Object>>} The posted messages, in the same order
  */
-const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId, messageId) => {
+const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId, messageIds, hideSender = false) => {
   try {
     const result = await client.forwardMessages(targetChannelId, {
-      messages: [messageId],
+      messages: Array.isArray(messageIds) ? messageIds : [messageIds],
       fromPeer: sourceChannelId,
+      dropAuthor: hideSender,
       silent: true
     });
-    return result;
+    // One list of posted messages per source chat
+    return result.flat();
   } catch (error) {
     throw new Error(`Failed to forward message: ${error.message}`);
   }
@@ -487,7 +893,13 @@ const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId,
 module.exports = {
   getMessages,
   getMessageDetail,
+  getPartPath,
   downloadMessageMedia,
+  uploadMediaFile,
+  isNativeMedia,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
+  editMirroredMessage,
+  deleteMirroredMessages,
   forwardMessageToChannel,
 };
@@ -1,31 +1,73 @@
 "use strict";
 const fs = require("fs");
 const path = require("path");
-const { initAuth } = require("../modules/auth");
+const { NewMessage } = require("telegram/events");
+const { EditedMessage } = require("telegram/events/EditedMessage");
+const { DeletedMessage } = require("telegram/events/DeletedMessage");
+const { initAuth, initSavedSession } = require("../modules/auth");
 const {
   getMessages,
   getMessageDetail,
   downloadMessageMedia,
+  uploadMediaFile,
+  isNativeMedia,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
+  editMirroredMessage,
+  deleteMirroredMessages,
   forwardMessageToChannel,
 } = require("../modules/messages");
 const {
   getMediaType,
+  getMediaSize,
   getMediaPath,
   checkFileExist,
   appendToJSONArrayFile,
   wait,
+  getWorkspaceDir,
+  parseMessageIdRanges,
+  formatMessageIdRanges,
 } = require("../utils/helper");
-const {
-  updateLastSelection,
-  getLastSelection,
-} = require("../utils/file-helper");
+const { updateLastSelection } = require("../utils/file-helper");
+const { ChannelManifest } = require("../utils/channel-manifest");
+const MessageMap = require("../utils/message-map");
+const AsyncQueue = require("../utils/async-queue");
 const logger = require("../utils/logger");
-const { getDialogName, getAllDialogs } = require("../modules/dialoges");
+const {
+  EVENT_TYPES,
+  emitEvent,
+  emitProgress,
+  hasEventChannel,
+  onEventChannelClosed,
+} = require("../utils/job-events");
+const {
+  getDialogName,
+  getAllDialogs,
+  resolveChatReference,
+} = require("../modules/dialoges");
+const { parseChatLink } = require("../utils/link-parser");
+const {
+  FILTER_FIELDS,
+  CONTENT_FILTERS,
+  isSkipped,
+  validateFilter,
+  pickFilters,
+  createMessageFilter,
+  describeFilters,
+} = require("../utils/message-filters");
+const {
+  CAPTION_RULES,
+  PLACEHOLDERS,
+  parseCaptionRules,
+  rewriteCaption,
+  describeCaptionRules,
+} = require("../utils/caption-rules");
+const { hasJobOptions, parseJobSpec, describeJobOptions } = require("../utils/job-spec");
 const {
   downloadOptionInput,
   selectInput,
   booleanInput,
+  textInput,
 } = require("../utils/input-helper");
 
 // ULTRA-OPTIMIZED CONFIGURATIONS FOR CONSISTENT 30+ MBPS
@@ -36,9 +78,32 @@ const RATE_LIMIT_DELAY_CONFIG = 200; // Ultra-minimal delay for maximum speed
 const DOWNLOAD_DELAY_CONFIG = 150; // Ultra-minimal delay for maximum throughput
 const UPLOAD_DELAY_CONFIG = 150; // Ultra-minimal delay for maximum throughput
 const CHUNK_SIZE_CONFIG = 32 * 1024 * 1024; // Increased to 32MB for maximum throughput
+const MESSAGE_DETAIL_CHUNK = 100; // Telegram returns at most 100 messages per ID lookup
 
 // ULTRA-HIGH-SPEED CONFIGURATIONS
 const BATCH_SIZE = 4; // Increased batch size for better parallel processing
+const UPLOAD_QUEUE_LIMIT = BATCH_SIZE * 2; // Downloaded files waiting for upload, bounds disk usage
+const PARALLEL_FILE_UPLOADS = 3; // Files whose parts upload at once, posts still go out in order
+const UPLOAD_WORKERS_PER_FILE = 8; // Part workers per file, gramjs is unstable above 16
+const FOLLOW_POLL_INTERVAL = 60000; // Follow mode looks for missed posts this often without updates
+const FOLLOW_SETTLE_DELAY = 3000; // Lets every item of a new album arrive before fetching
+const FOLLOW_RETRY_DELAY = 15000; // Pause after a failed follow cycle
+const RECONCILE_INTERVAL = 30 * 60 * 1000; // Follow mode re-checks mirrored posts for edits and deletions this often
+
+// How a message reaches the target
+const TRANSFER_PATHS = {
+  FORWARD: "forward",
+  REUPLOAD: "reupload",
+};
+
+// Choices of the transferMode prompt
+const TRANSFER_MODES = [
+  { name: "Auto: forward when the source allows it, re-upload otherwise", value: "auto" },
+  { name: "Always download and re-upload", value: "reupload" },
+];
+
+// Whether a command-line flag value turns an option on
+const isEnabled = (value) => ["true", "y", "yes"].includes(String(value).toLowerCase());
 const CONNECTION_POOL_SIZE = 16; // More connection pools for stability
 const SPEED_STABILIZATION_DELAY = 50; // Ultra-minimal stabilization delay
 const THROUGHPUT_OPTIMIZATION_MODE = true;
@@ -52,7 +117,8 @@ class DownloadChannel {
   constructor() {
     this.outputFolder = null;
     this.uploadMode = false;
-    this.targetChannelId = null;
+    // Channels every post is mirrored to, each { channelId, messageMap }
+    this.targets = [];
     this.downloadableFiles = null;
     this.requestCount = 0;
     this.lastRequestTime = 0;
@@ -61,12 +127,29 @@ class DownloadChannel {
     this.totalMessages = 0;
     this.totalProcessedMessages = 0;
     this.skippedFiles = 0;
+    this.failedFiles = 0;
     this.selectiveMode = false;
     this.startFromMessageId = 0;
     this.batchCounter = 0;
     this.downloadToEndMode = false;
     this.speedMonitor = null;
     this.connectionPool = [];
+    this.manifest = null;
+    this.followMode = false;
+    this.lastSeenMessageId = 0;
+    this.syncEdits = false;
+    this.syncDeletes = false;
+    this.transferMode = "reupload";
+    this.hideSender = false;
+    this.sourceProtected = null;
+    // Caption rules as typed, and parsed
+    this.captionRules = null;
+    this.rewriteRules = [];
+    this.sourceName = null;
+    // Headless job from flags or a job spec, null when prompting
+    this.job = null;
+    // Download folder set by the job instead of export/<channelId>
+    this.outputRoot = null;
 
     // Enhanced flood wait tracking with adaptive learning
     this.requestsInLastMinute = [];
@@ -74,8 +157,8 @@ class DownloadChannel {
     this.adaptiveDelayMultiplier = 0.5; // Start aggressively
     this.lastFloodWait = 0;
 
-    // Task 1: Force file overwrite for complete downloads
-    this.forceFileOverwrite = true;
+    // Task 1: Complete files are kept, partial ones resume from their .part
+    this.forceFileOverwrite = false;
     this.ensureCompleteDownload = true;
     this.floodWaitHistory = [];
     this.optimalRequestRate = 50; // Requests per minute
@@ -86,9 +169,9 @@ class DownloadChannel {
     this.fileReferenceErrors = [];
     this.consecutiveFileRefErrors = 0;
 
-    const exportPath = path.resolve(process.cwd(), "./export");
+    const exportPath = path.join(getWorkspaceDir(), "export");
     if (!fs.existsSync(exportPath)) {
-      fs.mkdirSync(exportPath);
+      fs.mkdirSync(exportPath, { recursive: true });
     }
   }
 
@@ -96,6 +179,32 @@ class DownloadChannel {
     return "Ultra-High-Speed Download (35 Mbps target) with advanced flood wait reduction";
   }
 
+  static help() {
+    return [
+      "Headless job (no prompts, options not given take their defaults):",
+      ...describeJobOptions(),
+      "",
+      "Filter options (skip the filter prompts when given):",
+      "  --dateFrom=YYYY-MM-DD   only messages on or after this date",
+      "  --dateTo=YYYY-MM-DD     only messages on or before this date",
+      "  --minSize=50MB          only files at least this size",
+      "  --maxSize=2GB           only files at most this size",
+      "  --include=REGEX         only captions matching (case-insensitive)",
+      "  --exclude=REGEX         skip captions matching",
+      "  --senders=ID,ID         only messages from these sender IDs",
+      "  --content=media|text    only messages with media / without media",
+      "",
+      "  --follow                after the history, keep mirroring new posts as they arrive",
+      "  --syncEdits=y|n         carry caption edits of source posts over to the target",
+      "  --syncDeletes=y|n       delete mirrored posts when the source post is deleted",
+      "  --transfer=auto|reupload  forward when the source allows it, or always re-upload",
+      "  --hideSender=y|n        forwarded posts are copied without the forward header",
+      "  --captionRules=RULES    rewrite captions of mirrored posts, rules separated by \";\":",
+      ...CAPTION_RULES.map((rule) => `                            ${rule.syntax.padEnd(30)} ${rule.description}`),
+      `                          templates may use ${PLACEHOLDERS.join(", ")}; \\n is a line break`,
+    ].join("\n");
+  }
+
   /**
    * Advanced speed monitoring system for consistent 30+ Mbps
    */
@@ -244,6 +353,173 @@ class DownloadChannel {
     }
   }
 
+  /**
+   * Expected byte size of a message's media, 0 when unknown
+   */
+  getExpectedSize(message) {
+    return getMediaSize(message);
+  }
+
+  /**
+   * Report download progress of a single file on the event channel
+   */
+  reportProgress(messageId, downloaded, total, startTime) {
+    const elapsedSeconds = (Date.now() - startTime) / 1000;
+    const speedMbps =
+      elapsedSeconds > 0 ? (downloaded * 8) / elapsedSeconds / 1000 / 1000 : 0;
+
+    emitProgress(messageId, {
+      downloaded,
+      total,
+      speedMbps: Number(speedMbps.toFixed(1)),
+    });
+  }
+
+  /**
+   * Report a completed upload on the event channel, with the path it took
+   */
+  reportUpload(message, mediaPath, startTime = null, transferPath = TRANSFER_PATHS.REUPLOAD, target = null) {
+    const size =
+      mediaPath && fs.existsSync(mediaPath) ? fs.statSync(mediaPath).size : 0;
+    const duration = startTime ? (Date.now() - startTime) / 1000 : 0;
+
+    emitEvent(EVENT_TYPES.FILE_UPLOADED, {
+      messageId: message.id,
+      fileName: mediaPath ? path.basename(mediaPath) : `Message_${message.id}`,
+      size,
+      speedMbps:
+        duration > 0 ? Number(((size * 8) / duration / 1000 / 1000).toFixed(1)) : 0,
+      path: transferPath,
+      targetChannelId: target ? target.channelId : null,
+    });
+  }
+
+  /**
+   * Writes the manifest and message maps now. They save on a timer, and a
+   * post whose record is lost is published again on the next run, so this
+   * runs at the end of every batch (see reportBatchDone), after every page
+   * of messages and whenever the process is about to end.
+   */
+  saveProgress() {
+    if (this.manifest) this.manifest.save();
+    this.targets.forEach((target) => {
+      if (target.messageMap) target.messageMap.save();
+    });
+  }
+
+  /**
+   * Record an uploaded message and the ID it got in a target channel
+   */
+  recordUpload(message, result, transferPath, target) {
+    const sent = Array.isArray(result) ? result[0] : result;
+    const targetMessageId = sent && sent.id ? sent.id : null;
+    if (target.messageMap) {
+      target.messageMap.set(message.id, targetMessageId, message.editDate);
+    }
+    if (this.manifest) {
+      this.manifest.markUploaded(message.id, target.channelId, targetMessageId, transferPath);
+    }
+  }
+
+  /**
+   * Check whether a target already has its copy of a message, e.g. from an
+   * earlier run that failed for another target
+   */
+  isMirrored(messageId, target) {
+    return (
+      (target.messageMap && target.messageMap.has(messageId)) ||
+      Boolean(this.manifest && this.manifest.isUploadedTo(messageId, target.channelId))
+    );
+  }
+
+  /**
+   * Decide whether a message can be forwarded server-side or has to be
+   * downloaded and re-uploaded
+   * @returns {string} One of TRANSFER_PATHS
+   */
+  chooseTransferPath(message) {
+    if (!this.uploadMode || this.transferMode !== "auto" || this.rewriteRules.length > 0) {
+      return TRANSFER_PATHS.REUPLOAD;
+    }
+    if (this.sourceProtected !== false || message.noforwards) {
+      return TRANSFER_PATHS.REUPLOAD;
+    }
+    // A forwarded post cannot be a reply, re-uploading keeps the reply chain
+    if (message.replyTo && message.replyTo.replyToMsgId && !message.replyTo.replyToPeerId) {
+      return TRANSFER_PATHS.REUPLOAD;
+    }
+    return TRANSFER_PATHS.FORWARD;
+  }
+
+  /**
+   * Caption to post for a message under the job's caption rules
+   * @returns {Object|null} Rewritten { text, entities }, or null to post the
+   * source caption unchanged
+   */
+  getCaption(message) {
+    if (this.rewriteRules.length === 0) return null;
+    return rewriteCaption(message, this.rewriteRules, { sourceName: this.sourceName });
+  }
+
+  /**
+   * Check whether the source chat has content protection (noforwards)
+   * @returns {Promise<boolean>} True when posts cannot be forwarded
+   */
+  async detectContentProtection(client, channelId) {
+    try {
+      const chat = await client.getEntity(channelId);
+      const isProtected = Boolean(chat.noforwards);
+      logger.info(
+        isProtected
+          ? "🔒 Source has content protection: posts are downloaded and re-uploaded"
+          : "↪️ Source allows forwarding: posts are forwarded server-side",
+      );
+      return isProtected;
+    } catch (error) {
+      logger.warn(`⚠️ Could not check content protection, re-uploading everything: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Find the copy in a target of the message a source message replies to
+   * @returns {number|null} The target message ID, or null when the reply
+   * cannot be kept (not a reply, reply to another chat, parent not mirrored)
+   */
+  getReplyTargetId(message, target) {
+    const replyTo = message.replyTo;
+    if (!target.messageMap || !replyTo || !replyTo.replyToMsgId || replyTo.replyToPeerId) {
+      return null;
+    }
+    return target.messageMap.get(replyTo.replyToMsgId);
+  }
+
+  /**
+   * Report a message that failed for good after all retries, for one target
+   * when the upload to it failed
+   */
+  reportFailure(message, stage, error, target = null) {
+    this.failedFiles++;
+    if (this.manifest) {
+      this.manifest.markFailed(
+        message.id,
+        stage,
+        error ? error.message : "Unknown error",
+        target ? target.channelId : null,
+      );
+    }
+    emitEvent(EVENT_TYPES.FILE_FAILED, {
+      messageId: message.id,
+      fileName: message.media
+        ? path.basename(getMediaPath(message, this.outputFolder))
+        : `Message_${message.id}`,
+      stage,
+      reason: error ? error.message : "Unknown error",
+      expectedSize: this.getExpectedSize(message),
+      targetChannelId: target ? target.channelId : null,
+    });
+  }
+
   /**
    * Delete existing file to force fresh download
    */
@@ -562,6 +838,10 @@ class DownloadChannel {
   shouldProcess(message) {
     if (!this.hasContent(message)) return false;
 
+    if (this.messageFilter && !this.messageFilter(message, this.getExpectedSize(message))) {
+      return false;
+    }
+
     if (message.message && !message.media) return true;
 
     if (message.media) {
@@ -587,6 +867,14 @@ class DownloadChannel {
     let attempt = 0;
     let originalMessage = { ...message }; // Keep original for reference
 
+    if (message.media) {
+      emitEvent(EVENT_TYPES.FILE_STARTED, {
+        messageId: message.id,
+        fileName: path.basename(getMediaPath(message, this.outputFolder)),
+        expectedSize: this.getExpectedSize(message),
+      });
+    }
+
     while (attempt < maxRetries) {
       try {
         if (!message.media) return null;
@@ -594,9 +882,25 @@ class DownloadChannel {
         const mediaPath = getMediaPath(message, this.outputFolder);
         const fileExists = checkFileExist(message, this.outputFolder);
 
-        // NEW: Auto-delete existing files to force fresh download
+        // Finished files only ever appear through the .part rename, so a
+        // file of the right size is complete. Anything else is replaced.
         if (fileExists) {
-          logger.warn(`🔄 File exists, deleting for fresh download: ${path.basename(mediaPath)}`);
+          const expectedSize = this.getExpectedSize(message);
+          if (!this.forceFileOverwrite && expectedSize > 0 && fs.statSync(mediaPath).size === expectedSize) {
+            logger.info(`✅ Already downloaded: ${path.basename(mediaPath)}`);
+            this.totalDownloaded++;
+            emitEvent(EVENT_TYPES.FILE_COMPLETED, {
+              messageId: message.id,
+              fileName: path.basename(mediaPath),
+              size: expectedSize,
+              expectedSize,
+              fullSize: true,
+              speedMbps: 0,
+            });
+            return mediaPath;
+          }
+
+          logger.warn(`🔄 Incomplete file found, downloading again: ${path.basename(mediaPath)}`);
           const deleted = this.deleteExistingFile(mediaPath);
           if (deleted) {
             logger.info(`🔄 Refreshing message ${message.id} after file deletion...`);
@@ -625,6 +929,8 @@ class DownloadChannel {
               workerIndex: 0,
               optimizeForSpeed: true,
               stabilizeSpeed: false, // Disable stabilization for single files
+              onProgress: (downloaded, total) =>
+                this.reportProgress(message.id, downloaded, total, startTime),
             }
           : {
               workers: Math.min(24, 16),
@@ -632,6 +938,8 @@ class DownloadChannel {
               workerIndex: 0,
               optimizeForSpeed: true,
               stabilizeSpeed: true,
+              onProgress: (downloaded, total) =>
+                this.reportProgress(message.id, downloaded, total, startTime),
             };
 
         const result = await downloadMessageMedia(
@@ -649,13 +957,9 @@ class DownloadChannel {
           const speedMbps =
             duration > 0 ? (fileSize * 8) / duration / 1000 / 1000 : 0;
 
-          // Enhanced file size verification
-          const expectedSize =
-            message.media?.document?.size ||
-            message.media?.photo?.sizes?.[0]?.size ||
-            0;
-          const sizeVerified =
-            expectedSize === 0 || fileSize >= expectedSize * 0.95; // Allow 5% tolerance
+          // Only an exact byte match counts as complete
+          const expectedSize = this.getExpectedSize(message);
+          const sizeVerified = expectedSize === 0 || fileSize === expectedSize;
 
           if (!sizeVerified && expectedSize > 0) {
             logger.warn(
@@ -676,6 +980,14 @@ class DownloadChannel {
           logger.info(
             `✅ Downloaded: ${path.basename(mediaPath)} (${speedMbps.toFixed(1)} Mbps)${sizeVerified ? " ✓ Size verified" : ""}${isSingleFile ? " [SINGLE-FILE BOOST]" : ""}`,
           );
+          emitEvent(EVENT_TYPES.FILE_COMPLETED, {
+            messageId: message.id,
+            fileName: path.basename(mediaPath),
+            size: fileSize,
+            expectedSize,
+            fullSize: sizeVerified,
+            speedMbps: Number(speedMbps.toFixed(1)),
+          });
           return mediaPath;
         } else {
           throw new Error("Download verification failed");
@@ -742,15 +1054,18 @@ class DownloadChannel {
   }
 
   /**
-   * ULTRA-OPTIMIZED upload with dynamic single-file acceleration
+   * ULTRA-OPTIMIZED upload with dynamic single-file acceleration.
+   * uploadedFile is a handle from uploadMediaFile whose parts are already on
+   * Telegram's side; it is dropped if Telegram no longer has them.
    */
-  async uploadMessage(client, message, mediaPath = null, isSingleFile = false) {
+  async uploadMessage(client, message, mediaPath = null, isSingleFile = false, uploadedFile = null, target = null) {
     const maxRetries = isSingleFile ? 8 : 15; // Fewer retries for single files
     let attempt = 0;
+    let replyToId = target ? this.getReplyTargetId(message, target) : null;
 
     while (attempt < maxRetries) {
       try {
-        if (!this.uploadMode || !this.targetChannelId) return false;
+        if (!this.uploadMode || !target) return false;
 
         // Minimal rate limit check for single files
         if (!isSingleFile) {
@@ -760,10 +1075,13 @@ class DownloadChannel {
         const startTime = Date.now();
         const result = await uploadMessageToChannel(
           client,
-          this.targetChannelId,
+          target.channelId,
           message,
           mediaPath,
           isSingleFile,
+          uploadedFile,
+          replyToId,
+          this.getCaption(message),
         );
 
         if (result) {
@@ -781,6 +1099,8 @@ class DownloadChannel {
           }
 
           this.totalUploaded++;
+          this.reportUpload(message, mediaPath, startTime, TRANSFER_PATHS.REUPLOAD, target);
+          this.recordUpload(message, result, TRANSFER_PATHS.REUPLOAD, target);
           if (typeof this.updateFloodWaitHistory === "function") {
             this.updateFloodWaitHistory(false); // No flood wait occurred
           }
@@ -794,6 +1114,13 @@ class DownloadChannel {
           `❌ Upload attempt ${attempt}/${maxRetries} failed for message ${message.id}: ${error.message}`,
         );
 
+        if (error.message.includes("FILE_PART")) {
+          uploadedFile = null; // Parts expired or incomplete, upload the file again
+        }
+        if (error.message.includes("REPLY_")) {
+          replyToId = null; // The mirrored parent is gone, post without the reply
+        }
+
         if (error.message.includes("CHAT_FORWARDS_RESTRICTED")) {
           return false;
         } else if (error.message.includes("FLOOD_WAIT")) {
@@ -823,13 +1150,18 @@ class DownloadChannel {
           try {
             const finalResult = await uploadMessageToChannel(
               client,
-              this.targetChannelId,
+              target.channelId,
               message,
               mediaPath,
               isSingleFile,
+              null,
+              replyToId,
+              this.getCaption(message),
             );
             if (finalResult) {
               this.totalUploaded++;
+              this.reportUpload(message, mediaPath, null, TRANSFER_PATHS.REUPLOAD, target);
+              this.recordUpload(message, finalResult, TRANSFER_PATHS.REUPLOAD, target);
               return true;
             }
           } catch (finalError) {
@@ -837,6 +1169,7 @@ class DownloadChannel {
               `❌ Final upload attempt failed: ${finalError.message}`,
             );
           }
+          this.reportFailure(message, "upload", error, target);
           return false;
         }
       }
@@ -904,10 +1237,7 @@ class DownloadChannel {
           if (message.media || message.sticker) {
             hasContent = true;
             // Set current file size for speed optimization
-            const estimatedSize =
-              message.media?.document?.size ||
-              message.media?.photo?.sizes?.[0]?.size ||
-              0;
+            const estimatedSize = this.getExpectedSize(message);
 
             if (this.speedMonitor) {
               this.speedMonitor.setCurrentFileSize(estimatedSize);
@@ -929,6 +1259,9 @@ class DownloadChannel {
 
           if (hasContent) {
             this.totalProcessedMessages++;
+            if (this.manifest) {
+              await this.manifest.markDownloaded(message.id, mediaPath);
+            }
             logger.info(
               `✅ Download complete ${index + 1}/${messages.length}: Message ${message.id} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`,
             );
@@ -964,6 +1297,7 @@ class DownloadChannel {
           if (retryCount < maxBatchRetries) {
             await this.precisionDelay(1000 * retryCount);
           } else {
+            this.reportFailure(message, "download", error);
             return {
               message: message,
               mediaPath: null,
@@ -1000,553 +1334,575 @@ class DownloadChannel {
   }
 
   /**
-   * SEQUENTIAL UPLOAD QUEUE - Maintains strict message order
-   * Files wait at 99% until previous files complete upload
+   * Cleanup batch files
+   */
+  async cleanupBatch(downloadedData) {
+    logger.info(`🗑️ Cleaning up ${downloadedData.length} files`);
+
+    const cleanupPromises = downloadedData.map(async (data) => {
+      if (data.mediaPath && fs.existsSync(data.mediaPath)) {
+        try {
+          fs.unlinkSync(data.mediaPath);
+        } catch (cleanupError) {
+          logger.warn(
+            `⚠️ Cleanup failed for ${data.mediaPath}: ${cleanupError.message}`,
+          );
+        }
+      }
+    });
+
+    await Promise.all(cleanupPromises);
+    logger.info(`✅ Cleanup complete`);
+  }
+
+  /**
+   * Enhanced message refresh with speed optimization
    */
-  async uploadBatch(client, downloadedData) {
-    if (!this.uploadMode || !downloadedData.length) {
-      return downloadedData;
+  async refreshMessagesBatch(client, channelId, messageIds) {
+    try {
+      logger.info(`🔄 Refreshing ${messageIds.length} messages...`);
+      const refreshedMessages = await getMessageDetail(
+        client,
+        channelId,
+        messageIds,
+      );
+      logger.info(`✅ Refreshed ${refreshedMessages.length} messages`);
+      return refreshedMessages;
+    } catch (error) {
+      logger.error(`❌ Message refresh failed: ${error.message}`);
+      return null;
     }
+  }
+
+  /**
+   * Function to refresh ALL channel messages every 3 batches to prevent false "file exists" detection.
+   */
+  async refreshAllChannelMessages(client, channelId) {
+    try {
+      logger.info(
+        `🔄 Fetching ALL messages from channel ${channelId} for refresh...`,
+      );
+      // Fetch all messages to ensure comprehensive refresh
+      const allMessages = await getMessages(
+        client,
+        channelId,
+        MESSAGE_LIMIT_CONFIG,
+        0,
+        true,
+      );
+
+      if (!allMessages || allMessages.length === 0) {
+        logger.warn("No messages found in the channel for refresh.");
+        return [];
+      }
 
-    const isSingleFile = downloadedData.length === 1;
-    const optimizationMode = isSingleFile
-      ? "SINGLE-FILE BOOST"
-      : "SEQUENTIAL QUEUE";
+      const messageIds = allMessages.map((msg) => msg.id);
+      logger.info(`🔄 Refreshing details for ${messageIds.length} messages...`);
+      const refreshedMessages = await getMessageDetail(
+        client,
+        channelId,
+        messageIds,
+      );
+      logger.info(
+        `✅ Successfully refreshed details for ${refreshedMessages.length} messages.`,
+      );
+      return refreshedMessages;
+    } catch (error) {
+      logger.error(
+        `❌ Failed to refresh all channel messages: ${error.message}`,
+      );
+      return null;
+    }
+  }
 
-    // Sort by message ID to ensure proper order (a, b, c...)
-    downloadedData.sort((a, b) => a.message.id - b.message.id);
+  /**
+   * Proactively refreshes a batch of messages so their file references are
+   * fresh when the download starts, with a full channel refresh every few
+   * batches or when FILE_REFERENCE_EXPIRED errors pile up.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array} messages - The batch.
+   * @returns {Promise<Array>} The batch with refreshed messages where available.
+   */
+  async refreshBatchMessages(client, channelId, messages) {
+    this.batchCounter++;
     logger.info(
-      `📤 ${optimizationMode} upload: ${downloadedData.length} messages - STRICT ORDER MAINTAINED`,
+      `🔄 Batch ${this.batchCounter}: Proactively refreshing messages to prevent file reference errors...`,
     );
 
-    // Initialize sequential upload state
-    const uploadQueue = downloadedData.map((data, index) => ({
-      ...data,
-      queueIndex: index,
-      uploadStarted: false,
-      uploadCompleted: false,
-      readyToUpload: index === 0, // First message can start immediately
-      waitingForPrevious: index > 0,
-    }));
-
-    let completedUploads = 0;
-    const uploadResults = [];
-
-    // Process uploads in strict sequential order
-    for (
-      let currentIndex = 0;
-      currentIndex < uploadQueue.length;
-      currentIndex++
-    ) {
-      const currentData = uploadQueue[currentIndex];
-      const messageId = currentData.message.id;
-      const fileName = currentData.mediaPath
-        ? path.basename(currentData.mediaPath)
-        : `Message_${messageId}`;
+    // Refresh current batch messages specifically
+    const currentMessageIds = messages.map((m) => m.id);
+    try {
+      const refreshedMessages = await getMessageDetail(client, channelId, currentMessageIds);
 
-      try {
-        // Wait for previous message to complete (if not first message)
-        if (currentIndex > 0) {
-          const previousData = uploadQueue[currentIndex - 1];
-          if (!previousData.uploadCompleted) {
-            logger.info(
-              `⏳ File '${fileName}' waiting at 99% for previous message ${previousData.message.id} to complete...`,
-            );
+      if (refreshedMessages && refreshedMessages.length > 0) {
+        // Update messages with refreshed data
+        const messageMap = new Map(refreshedMessages.filter(Boolean).map(msg => [msg.id, msg]));
+        messages = messages.map(msg => messageMap.get(msg.id) || msg);
+        logger.success(`✅ Refreshed ${refreshedMessages.length}/${messages.length} batch messages`);
+      } else {
+        // Fallback: Full channel refresh if batch refresh fails
+        logger.warn(`⚠️ Batch refresh failed, attempting full channel refresh...`);
+        const allRefreshedMessages = await this.refreshAllChannelMessages(client, channelId);
 
-            // Keep showing "waiting" status until previous completes
-            let waitCounter = 0;
-            while (!previousData.uploadCompleted && waitCounter < 300) {
-              // Max 5 minutes wait
-              process.stdout.write(
-                `\r⏳ [${currentIndex + 1}/${uploadQueue.length}] '${fileName}' waiting at 99% for message ${previousData.message.id}... (${waitCounter}s)`,
-              );
-              await this.precisionDelay(1000);
-              waitCounter++;
-            }
+        if (allRefreshedMessages && allRefreshedMessages.length > 0) {
+          const messageMap = new Map(allRefreshedMessages.map(msg => [msg.id, msg]));
+          messages = messages.map(msg => messageMap.get(msg.id) || msg);
+          logger.success(`✅ Fallback: Updated ${messages.length} messages from full refresh`);
+        }
+      }
+    } catch (refreshError) {
+      logger.warn(`⚠️ Message refresh failed: ${refreshError.message}, proceeding with original messages`);
+    }
 
-            if (!previousData.uploadCompleted) {
-              throw new Error(
-                `Timeout waiting for previous message ${previousData.message.id}`,
-              );
-            }
+    // Additional refresh every 4 batches or when high FILE_REFERENCE error rate detected
+    const recentFileRefErrors = this.fileReferenceErrors.filter(
+      timestamp => Date.now() - timestamp < 2 * 60 * 1000 // Last 2 minutes
+    ).length;
 
-            process.stdout.write(
-              `\n✅ Previous message completed! '${fileName}' can now upload...\n`,
-            );
-          }
-        }
+    if (this.batchCounter % 4 === 0 || recentFileRefErrors > 5) {
+      logger.info(
+        `🔄 Extra refresh triggered - Batch ${this.batchCounter} or high error rate (${recentFileRefErrors} recent errors)`,
+      );
+      const allRefreshedMessages = await this.refreshAllChannelMessages(client, channelId);
 
-        // Verify file exists
-        if (currentData.mediaPath && !fs.existsSync(currentData.mediaPath)) {
-          logger.warn(
-            `⚠️ Missing file for message ${messageId}: ${currentData.mediaPath}`,
-          );
-          currentData.mediaPath = null;
-        }
+      if (allRefreshedMessages && allRefreshedMessages.length > 0) {
+        const messageMap = new Map(allRefreshedMessages.map(msg => [msg.id, msg]));
+        messages = messages.map(msg => messageMap.get(msg.id) || msg);
+        logger.success(`✅ Extra refresh: Updated ${messages.length} messages`);
+      }
+    }
 
-        // Mark as started
-        currentData.uploadStarted = true;
-        logger.info(
-          `🚀 [${currentIndex + 1}/${uploadQueue.length}] Sequential upload starting: '${fileName}' (Message ${messageId})`,
-        );
+    return messages;
+  }
 
-        // Perform upload with retry mechanism
-        await this.retryOperation(async () => {
-          try {
-            if (currentData.mediaPath) {
-              await this.uploadMessage(
-                client,
-                currentData.message,
-                currentData.mediaPath,
-                isSingleFile,
-              );
-            } else {
-              await this.uploadMessage(
-                client,
-                currentData.message,
-                null,
-                isSingleFile,
-              );
-            }
-          } catch (error) {
-            if (
-              error.message.includes("Not connected") ||
-              error.message.includes("Connection closed")
-            ) {
-              logger.warn(`🔄 Connection issue detected, reconnecting...`);
-              await this.reconnectClient(client);
-              throw error;
-            }
-            throw error;
-          }
-        }, `uploading message ${messageId} (${fileName})`);
+  /**
+   * Producer side of the pipeline: downloads the messages batch by batch and
+   * hands every result to the upload queue in message order. The queue is
+   * bounded, so downloads pause while the uploader is too far behind.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array} messages - Messages to process, oldest first.
+   * @param {AsyncQueue|null} queue - Upload queue, null when only downloading.
+   */
+  async downloadStage(client, channelId, messages, queue) {
+    const totalBatches = Math.ceil(messages.length / BATCH_SIZE);
 
-        // Mark as completed
-        currentData.uploadCompleted = true;
-        completedUploads++;
+    for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+      const batchIndex = Math.floor(i / BATCH_SIZE);
+      let batch = messages.slice(i, i + BATCH_SIZE);
 
-        logger.info(
-          `✅ [${currentIndex + 1}/${uploadQueue.length}] Sequential upload complete: '${fileName}' (Message ${messageId}) - ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"}`,
-        );
+      logger.info(
+        `🚀 Ultra-speed batch ${batchIndex + 1}/${totalBatches} - ${batch.length} messages - Speed: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps (" + this.speedMonitor.getSpeedStatus() + ")" : "Optimizing..."}`,
+      );
+      batch = await this.refreshBatchMessages(client, channelId, batch);
 
-        // Signal next message that it can start
-        if (currentIndex + 1 < uploadQueue.length) {
-          uploadQueue[currentIndex + 1].readyToUpload = true;
-          uploadQueue[currentIndex + 1].waitingForPrevious = false;
-          logger.info(
-            `🎯 Next file '${uploadQueue[currentIndex + 1].mediaPath ? path.basename(uploadQueue[currentIndex + 1].mediaPath) : `Message_${uploadQueue[currentIndex + 1].message.id}`}' is now ready to upload`,
-          );
-        }
+      // Posts that can be forwarded skip the download entirely, and so do
+      // polls, locations, venues and contacts, which are recreated from the message
+      const forwards = batch.filter(
+        (msg) => this.chooseTransferPath(msg) === TRANSFER_PATHS.FORWARD,
+      );
+      const recreated = queue
+        ? batch.filter((msg) => !forwards.includes(msg) && isNativeMedia(msg.media))
+        : [];
+      const downloads = batch.filter((msg) => !forwards.includes(msg) && !recreated.includes(msg));
 
-        uploadResults.push({ success: true, data: currentData });
-      } catch (error) {
-        logger.error(
-          `❌ Sequential upload error for '${fileName}' (Message ${messageId}): ${error.message}`,
-        );
+      let downloadedData = [];
+      if (downloads.length > 0) {
+        try {
+          downloadedData = await this.downloadBatch(client, downloads, channelId);
+        } catch (error) {
+          logger.error(`❌ Batch error ${batchIndex + 1}: ${error.message}`);
 
-        if (error.message.includes("FLOOD_WAIT")) {
-          const waitTime = parseInt(error.message.match(/\d+/)?.[0] || "60");
-          logger.warn(
-            `⏳ Flood wait for ${waitTime}s during sequential upload...`,
+          // One more go with freshly fetched messages
+          const retryMessages = await this.refreshMessagesBatch(
+            client,
+            channelId,
+            downloads.map((m) => m.id),
+          );
+          await this.ensureConnectionHealth(client);
+          downloadedData = await this.downloadBatch(
+            client,
+            retryMessages && retryMessages.length > 0 ? retryMessages.filter(Boolean) : downloads,
+            channelId,
           );
-          await this.precisionDelay(waitTime * 1000);
-
-          try {
-            // Retry upload after flood wait
-            const retrySuccess = await this.uploadMessage(
-              client,
-              currentData.message,
-              currentData.mediaPath,
-              isSingleFile,
-            );
-            if (retrySuccess) {
-              currentData.uploadCompleted = true;
-              completedUploads++;
-              uploadResults.push({ success: true, data: currentData });
-              continue;
-            }
-          } catch (retryError) {
-            logger.error(
-              `❌ Sequential upload retry failed: ${retryError.message}`,
-            );
-          }
         }
+      }
 
-        // Mark as failed but continue sequence
-        currentData.uploadCompleted = true; // Allow next file to proceed
-        uploadResults.push({ success: false, data: currentData });
+      downloadedData = [
+        ...downloadedData,
+        ...forwards.map((message) => ({ message, mediaPath: null, hasContent: true, forward: true })),
+        ...recreated.map((message) => ({ message, mediaPath: null, hasContent: true })),
+      ].sort((a, b) => a.message.id - b.message.id);
 
-        // Signal next message can proceed despite this failure
-        if (currentIndex + 1 < uploadQueue.length) {
-          uploadQueue[currentIndex + 1].readyToUpload = true;
-          uploadQueue[currentIndex + 1].waitingForPrevious = false;
+      if (queue && downloadedData.length > 0) {
+        for (const [index, data] of downloadedData.entries()) {
+          await queue.push({
+            ...data,
+            batchIndex,
+            lastInBatch: index === downloadedData.length - 1,
+          });
         }
+      } else {
+        // Nothing reaches the uploader, so the batch is done right here
+        this.reportBatchDone(channelId, batchIndex, totalBatches);
       }
 
-      // Small delay between sequential uploads for stability
-      if (currentIndex + 1 < uploadQueue.length) {
-        await this.precisionDelay(isSingleFile ? 100 : 500);
+      if (i + BATCH_SIZE < messages.length) {
+        await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
       }
     }
+  }
 
-    logger.info(
-      `✅ Sequential upload queue complete! ${completedUploads}/${uploadQueue.length} messages uploaded in perfect order (Avg: ${this.speedMonitor ? this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "High Speed"})`,
-    );
+  /**
+   * Starts uploading the file parts of a queued message ahead of publishing
+   * it. Only photos and documents are sent as files; everything else is
+   * published without an upload.
+   * @param {Object} client - Telegram client.
+   * @param {Object} data - A queued download result.
+   * @returns {Promise<Object|null>} The uploaded file handle, or null to let
+   * publishing upload the file itself. Never rejects.
+   */
+  async prepareUpload(client, data) {
+    const media = data.message.media;
+    if (data.failed || !data.mediaPath || !media || !(media.document || media.photo)) {
+      return null;
+    }
+    if (!fs.existsSync(data.mediaPath)) return null;
 
-    return downloadedData;
+    try {
+      const startTime = Date.now();
+      const uploadedFile = await uploadMediaFile(client, data.mediaPath, UPLOAD_WORKERS_PER_FILE);
+      const size = fs.statSync(data.mediaPath).size;
+      if (this.speedMonitor) {
+        this.speedMonitor.updateSpeed(size);
+      }
+      logger.info(
+        `⬆️ Parts uploaded: ${path.basename(data.mediaPath)} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+      );
+      return uploadedFile;
+    } catch (error) {
+      logger.warn(
+        `⚠️ Early upload failed for message ${data.message.id}, uploading while publishing: ${error.message}`,
+      );
+      return null;
+    }
   }
 
   /**
-   * ULTRA-HIGH-SPEED batch download with dynamic optimization
+   * Publishes a queued message to one target.
+   * @param {Object} client - Telegram client.
+   * @param {Object} data - A queued download result.
+   * @param {Object|null} uploadedFile - Handle from prepareUpload.
+   * @param {Object} target - The target, one of this.targets.
+   * @returns {Promise<boolean>} True when the target got the message.
    */
-  async downloadBatch(client, messages, channelId) {
-    const isSingleFile = messages.length === 1;
-    const isSmallBatch = messages.length <= 3; // Small batch optimization
-    const isLastBatch =
-      this.totalProcessedMessages + messages.length >=
-      this.totalMessages * 0.95; // Last 5% of files
-
-    // Determine optimization mode
-    let optimizationMode;
-    if (isSingleFile) {
-      optimizationMode = "SINGLE-FILE TURBO";
-    } else if (isSmallBatch || isLastBatch) {
-      optimizationMode = "SMALL-BATCH TURBO";
-    } else {
-      optimizationMode = "BATCH PARALLEL";
-    }
+  async publishQueued(client, data, uploadedFile, target) {
+    const messageId = data.message.id;
 
-    // Enhanced speed target for small files and final files
-    const speedTarget =
-      isSingleFile || isSmallBatch || isLastBatch ? "40+ Mbps" : "30+ Mbps";
-
-    logger.info(
-      `📥 ${optimizationMode} download: ${messages.length} messages (${MAX_PARALLEL_DOWNLOADS_CONFIG} workers, ${CHUNK_SIZE_CONFIG / 1024 / 1024}MB chunks) - Target: ${speedTarget}`,
-    );
+    // Download failures were already reported, there is nothing to post
+    if (data.failed) return false;
 
-    messages.sort((a, b) => a.id - b.id);
-
-    // Minimal or no wait for single files, small batches, or last batch
-    if (isSingleFile || isSmallBatch || isLastBatch) {
-      await this.ultraOptimizedWait(5); // Ultra-minimal delay
-    } else {
-      await this.ultraOptimizedWait(15);
+    if (data.mediaPath && !fs.existsSync(data.mediaPath)) {
+      logger.warn(`⚠️ Missing file for message ${messageId}: ${data.mediaPath}`);
+      data.mediaPath = null;
     }
 
-    const downloadPromises = messages.map(async (message, index) => {
-      let retryCount = 0;
-      const maxBatchRetries = 3;
-
-      while (retryCount < maxBatchRetries) {
+    try {
+      return await this.retryOperation(async () => {
         try {
-          logger.info(
-            `🚀 Ultra-parallel download ${index + 1}/${messages.length}: Message ${message.id}`,
-          );
-
-          await this.checkRateLimit();
-
-          let mediaPath = null;
-          let hasContent = false;
-
-          if (message.message && message.message.trim()) {
-            hasContent = true;
-            logger.info(`📝 Text: "${message.message.substring(0, 30)}..."`);
-          }
-
-          if (message.media || message.sticker) {
-            hasContent = true;
-            // Set current file size for speed optimization
-            const estimatedSize =
-              message.media?.document?.size ||
-              message.media?.photo?.sizes?.[0]?.size ||
-              0;
-
-            if (this.speedMonitor) {
-              this.speedMonitor.setCurrentFileSize(estimatedSize);
-            }
-
-            mediaPath = await this.downloadMessage(
-              client,
-              message,
-              channelId,
-              isSingleFile || isSmallBatch || isLastBatch, // Treat small batches and last batch like single files
-            );
-
-            if (mediaPath && !fs.existsSync(mediaPath)) {
-              logger.warn(`❌ File verification failed: ${mediaPath}`);
-              mediaPath = null;
-              throw new Error(`File not found: ${mediaPath}`);
-            }
-          }
-
-          if (hasContent) {
-            this.totalProcessedMessages++;
-            logger.info(
-              `✅ Download complete ${index + 1}/${messages.length}: Message ${message.id} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`,
-            );
-            return {
-              message: message,
-              mediaPath: mediaPath,
-              hasContent: hasContent,
-              downloadIndex: index,
-            };
-          }
-          break;
+          return await this.uploadMessage(client, data.message, data.mediaPath, false, uploadedFile, target);
         } catch (error) {
-          retryCount++;
-
-          // Track FILE_REFERENCE_EXPIRED errors
-          if (error.message.includes("FILE_REFERENCE_EXPIRED")) {
-            this.trackFileReferenceError();
-            logger.error(
-              `📋 File reference expired for a message, script will retry automatically`,
-            );
-          } else {
-            logger.error(
-              `❌ Batch retry ${retryCount}/${maxBatchRetries} for message ${message.id}: ${error.message}`,
-            );
-          }
-
-          if (error.message.includes("FLOOD_WAIT")) {
-            const waitTime = parseInt(error.message.match(/\d+/)?.[0] || "60");
-            this.updateFloodWaitHistory(true, waitTime);
-            await this.precisionDelay(waitTime * 1000);
-          }
-
-          if (retryCount < maxBatchRetries) {
-            await this.precisionDelay(1000 * retryCount);
-          } else {
-            return {
-              message: message,
-              mediaPath: null,
-              hasContent: Boolean(
-                message.message || message.media || message.sticker,
-              ),
-              downloadIndex: index,
-              failed: true,
-            };
+          if (
+            error.message.includes("Not connected") ||
+            error.message.includes("Connection closed")
+          ) {
+            logger.warn(`🔄 Connection issue detected, reconnecting...`);
+            await this.reconnectClient(client);
           }
+          throw error;
         }
-      }
-      return null;
-    });
-
-    logger.info(
-      `⏳ Processing ${messages.length} downloads with ${MAX_PARALLEL_DOWNLOADS_CONFIG} workers each...`,
-    );
-    const results = await Promise.all(downloadPromises);
-
-    const downloadedData = results
-      .filter((result) => result !== null)
-      .sort((a, b) => a.message.id - b.message.id);
-
-    const failedDownloads = downloadedData.filter((data) => data.failed).length;
-    if (failedDownloads > 0) {
-      logger.warn(`⚠️ ${failedDownloads} downloads had issues but proceeding`);
+      }, `uploading message ${messageId}`);
+    } catch (error) {
+      logger.error(`❌ Upload error for message ${messageId}: ${error.message}`);
+      this.reportFailure(data.message, "upload", error, target);
+      return false;
     }
-
-    logger.info(
-      `✅ Ultra-speed downloads complete! ${downloadedData.length} messages ready (Avg: ${this.speedMonitor ? this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "High Speed"})`,
-    );
-    return downloadedData;
   }
 
   /**
-   * Cleanup batch files
+   * Publishes one post, a single message or all items of an album, to every
+   * target in turn, forwarded or re-uploaded. Targets that got the post in
+   * an earlier run are skipped. The downloaded files are deleted only once
+   * every target has the post, so a failed target can be retried from them.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array<Object>} items - Queued download results of the post, in order.
+   * @param {Array<Object|null>} uploadedFiles - Handles from prepareUpload, one per item.
    */
-  async cleanupBatch(downloadedData) {
-    logger.info(`🗑️ Cleaning up ${downloadedData.length} files`);
+  async publishPost(client, channelId, items, uploadedFiles) {
+    let published = true;
 
-    const cleanupPromises = downloadedData.map(async (data) => {
-      if (data.mediaPath && fs.existsSync(data.mediaPath)) {
-        try {
-          fs.unlinkSync(data.mediaPath);
-        } catch (cleanupError) {
-          logger.warn(
-            `⚠️ Cleanup failed for ${data.mediaPath}: ${cleanupError.message}`,
-          );
-        }
+    for (const target of this.targets) {
+      let pending = items.filter((data) => !this.isMirrored(data.message.id, target));
+      if (pending.length === 0) continue;
+
+      if (pending.every((data) => data.forward)) {
+        if (await this.publishForwarded(client, channelId, pending, target)) continue;
       }
-    });
 
-    await Promise.all(cleanupPromises);
-    logger.info(`✅ Cleanup complete`);
+      if (items.some((data) => data.forward)) {
+        // Forwarding became impossible mid-job, download what was meant to be
+        // forwarded; the copies serve the remaining targets as well
+        const downloaded = await this.downloadBatch(
+          client,
+          items.filter((data) => data.forward).map((data) => data.message),
+          channelId,
+        );
+        const byId = new Map(downloaded.map((data) => [data.message.id, data]));
+        items = items.map((data) =>
+          data.forward ? byId.get(data.message.id) || { ...data, forward: false, failed: true } : data,
+        );
+        pending = items.filter((data) => !this.isMirrored(data.message.id, target));
+      }
+
+      const files = pending.map((data) => uploadedFiles[items.indexOf(data)]);
+      const posted = pending[0].message.groupedId
+        ? await this.publishAlbum(client, pending, files, target)
+        : await this.publishQueued(client, pending[0], files[0], target);
+      published = published && posted;
+
+      // A handle is spent on the post it was sent with, the next target
+      // uploads from the local copy
+      uploadedFiles = uploadedFiles.map(() => null);
+    }
+
+    if (published) {
+      await this.cleanupBatch(items);
+    } else if (items.some((data) => data.mediaPath && !data.failed)) {
+      logger.warn(
+        `📁 Keeping files of message ${formatMessageIdRanges(items.map((data) => data.message.id))} until every target has it`,
+      );
+    }
   }
 
   /**
-   * Enhanced message refresh with speed optimization
+   * Forwards a post (one message or a whole album) to a target without
+   * downloading it.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array<Object>} items - Queued messages of the post, in order.
+   * @param {Object} target - The target, one of this.targets.
+   * @returns {Promise<boolean>} False when the source no longer allows
+   * forwarding and the post has to be re-uploaded instead.
    */
-  async refreshMessagesBatch(client, channelId, messageIds) {
+  async publishForwarded(client, channelId, items, target) {
+    const messages = items.map((data) => data.message);
+    const label = `message${messages.length > 1 ? "s" : ""} ${formatMessageIdRanges(messages.map((m) => m.id))}`;
+
     try {
-      logger.info(`🔄 Refreshing ${messageIds.length} messages...`);
-      const refreshedMessages = await getMessageDetail(
-        client,
-        channelId,
-        messageIds,
-      );
-      logger.info(`✅ Refreshed ${refreshedMessages.length} messages`);
-      return refreshedMessages;
+      const startTime = Date.now();
+      const sent = await this.retryOperation(async () => {
+        await this.checkRateLimit();
+        return await forwardMessageToChannel(
+          client,
+          target.channelId,
+          channelId,
+          messages.map((m) => m.id),
+          this.hideSender,
+        );
+      }, `forwarding ${label}`);
+
+      messages.forEach((message, index) => {
+        this.totalUploaded++;
+        this.reportUpload(message, null, startTime, TRANSFER_PATHS.FORWARD, target);
+        this.recordUpload(message, sent[index], TRANSFER_PATHS.FORWARD, target);
+      });
+      logger.info(`↪️ Forwarded ${label} to ${target.channelId}${this.hideSender ? " (sender hidden)" : ""}`);
+      return true;
     } catch (error) {
-      logger.error(`❌ Message refresh failed: ${error.message}`);
-      return null;
+      if (error.message.includes("FORWARDS_RESTRICTED")) {
+        logger.warn("🔒 Source turned on content protection, switching to download and re-upload");
+        this.sourceProtected = true;
+        return false;
+      }
+      logger.error(`❌ Forward error for ${label}: ${error.message}`);
+      messages.forEach((message) => this.reportFailure(message, "upload", error, target));
+      return true;
     }
   }
 
   /**
-   * Function to refresh ALL channel messages every 3 batches to prevent false "file exists" detection.
+   * Publishes the items of an album to a target as one media group. Items
+   * that failed to download are left out.
+   * @param {Object} client - Telegram client.
+   * @param {Array<Object>} album - Queued download results sharing a groupedId, in order.
+   * @param {Array<Object|null>} uploadedFiles - Handles from prepareUpload, one per item.
+   * @param {Object} target - The target, one of this.targets.
+   * @returns {Promise<boolean>} True when the target got the album.
    */
-  async refreshAllChannelMessages(client, channelId) {
-    try {
-      logger.info(
-        `🔄 Fetching ALL messages from channel ${channelId} for refresh...`,
-      );
-      // Fetch all messages to ensure comprehensive refresh
-      const allMessages = await getMessages(
-        client,
-        channelId,
-        MESSAGE_LIMIT_CONFIG,
-        0,
-        true,
-      );
+  async publishAlbum(client, album, uploadedFiles, target) {
+    const groupedId = String(album[0].message.groupedId);
+    const items = album
+      .map((data, index) => ({
+        message: data.message,
+        mediaPath: data.failed ? null : data.mediaPath,
+        uploadedFile: uploadedFiles[index],
+        caption: this.getCaption(data.message),
+      }))
+      .filter((item) => item.mediaPath && fs.existsSync(item.mediaPath));
 
-      if (!allMessages || allMessages.length === 0) {
-        logger.warn("No messages found in the channel for refresh.");
-        return [];
-      }
+    if (items.length === 0 || !this.uploadMode) return false;
 
-      const messageIds = allMessages.map((msg) => msg.id);
-      logger.info(`🔄 Refreshing details for ${messageIds.length} messages...`);
-      const refreshedMessages = await getMessageDetail(
-        client,
-        channelId,
-        messageIds,
-      );
-      logger.info(
-        `✅ Successfully refreshed details for ${refreshedMessages.length} messages.`,
-      );
-      return refreshedMessages;
+    let replyToId = items.map((item) => this.getReplyTargetId(item.message, target)).find(Boolean) || null;
+
+    try {
+      const startTime = Date.now();
+      const sent = await this.retryOperation(async () => {
+        try {
+          await this.checkRateLimit();
+          return await uploadAlbumToChannel(client, target.channelId, items, replyToId);
+        } catch (error) {
+          if (error.message.includes("FILE_PART")) {
+            // Parts expired or incomplete, upload the files again
+            items.forEach((item) => (item.uploadedFile = null));
+          } else if (error.message.includes("REPLY_")) {
+            replyToId = null; // The mirrored parent is gone, post without the reply
+          } else if (
+            error.message.includes("Not connected") ||
+            error.message.includes("Connection closed")
+          ) {
+            logger.warn(`🔄 Connection issue detected, reconnecting...`);
+            await this.reconnectClient(client);
+          }
+          throw error;
+        }
+      }, `uploading album ${groupedId}`);
+
+      items.forEach((item, index) => {
+        this.totalUploaded++;
+        this.reportUpload(item.message, item.mediaPath, startTime, TRANSFER_PATHS.REUPLOAD, target);
+        this.recordUpload(item.message, sent[index], TRANSFER_PATHS.REUPLOAD, target);
+      });
+      logger.info(`📤 Uploaded album ${groupedId} to ${target.channelId}: ${items.length} items`);
+      return true;
     } catch (error) {
-      logger.error(
-        `❌ Failed to refresh all channel messages: ${error.message}`,
-      );
-      return null;
+      logger.error(`❌ Upload error for album ${groupedId}: ${error.message}`);
+      items.forEach((item) => this.reportFailure(item.message, "upload", error, target));
+      return false;
     }
   }
 
   /**
-   * ULTRA-OPTIMIZED batch processing with proactive refresh every batch
+   * Consumer side of the pipeline: uploads the files of up to
+   * PARALLEL_FILE_UPLOADS posts at once, and publishes the posts strictly in
+   * the order they were queued. Consecutive messages sharing a groupedId are
+   * collected into one album post, even when they span download batches.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {AsyncQueue} queue - Upload queue fed by downloadStage.
+   * @param {number} totalBatches - Number of batches, for progress reports.
    */
-  async processBatch(client, messages, batchIndex, totalBatches, channelId) {
-    try {
-      this.batchCounter++;
-      logger.info(
-        `🔄 ULTRA-SPEED batch ${batchIndex + 1}/${totalBatches} (${messages.length} messages) - Speed: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps (" + this.speedMonitor.getSpeedStatus() + ")" : "Optimizing..."}`,
-      );
-
-      // Enhanced: Refresh messages EVERY batch to prevent FILE_REFERENCE_EXPIRED errors
-      logger.info(
-        `🔄 Batch ${this.batchCounter}: Proactively refreshing messages to prevent file reference errors...`,
-      );
-      
-      // Refresh current batch messages specifically
-      const currentMessageIds = messages.map((m) => m.id);
-      try {
-        const refreshedMessages = await getMessageDetail(client, channelId, currentMessageIds);
-        
-        if (refreshedMessages && refreshedMessages.length > 0) {
-          // Update messages with refreshed data
-          const messageMap = new Map(refreshedMessages.map(msg => [msg.id, msg]));
-          messages = messages.map(msg => messageMap.get(msg.id) || msg);
-          logger.success(`✅ Refreshed ${refreshedMessages.length}/${messages.length} batch messages`);
-        } else {
-          // Fallback: Full channel refresh if batch refresh fails
-          logger.warn(`⚠️ Batch refresh failed, attempting full channel refresh...`);
-          const allRefreshedMessages = await this.refreshAllChannelMessages(client, channelId);
-          
-          if (allRefreshedMessages && allRefreshedMessages.length > 0) {
-            const messageMap = new Map(allRefreshedMessages.map(msg => [msg.id, msg]));
-            messages = messages.map(msg => messageMap.get(msg.id) || msg);
-            logger.success(`✅ Fallback: Updated ${messages.length} messages from full refresh`);
-          }
-        }
-      } catch (refreshError) {
-        logger.warn(`⚠️ Message refresh failed: ${refreshError.message}, proceeding with original messages`);
-      }
+  async uploadStage(client, channelId, queue, totalBatches) {
+    // Posts whose upload started, oldest first. A post is a list of
+    // { data, upload }: one message, or every item of an album.
+    const inFlight = [];
+    // Album still collecting items, always the newest post
+    let album = null;
+
+    const publishOldest = async () => {
+      const post = inFlight.shift();
+      const items = post.map((entry) => entry.data);
+      const uploadedFiles = await Promise.all(post.map((entry) => entry.upload));
+
+      await this.publishPost(client, channelId, items, uploadedFiles);
+
+      items
+        .filter((data) => data.lastInBatch)
+        .forEach((data) => this.reportBatchDone(channelId, data.batchIndex, totalBatches));
+    };
 
-      // Additional refresh every 3 batches or when high FILE_REFERENCE error rate detected
-      const recentFileRefErrors = this.fileReferenceErrors.filter(
-        timestamp => Date.now() - timestamp < 2 * 60 * 1000 // Last 2 minutes
-      ).length;
-      
-      if (this.batchCounter % 4 === 0 || recentFileRefErrors > 5) {
-        logger.info(
-          `🔄 Extra refresh triggered - Batch ${this.batchCounter} or high error rate (${recentFileRefErrors} recent errors)`,
-        );
-        const allRefreshedMessages = await this.refreshAllChannelMessages(client, channelId);
+    let data;
+    while ((data = await queue.shift()) !== null) {
+      const groupedId = data.message.groupedId ? String(data.message.groupedId) : null;
 
-        if (allRefreshedMessages && allRefreshedMessages.length > 0) {
-          const messageMap = new Map(allRefreshedMessages.map(msg => [msg.id, msg]));
-          messages = messages.map(msg => messageMap.get(msg.id) || msg);
-          logger.success(`✅ Extra refresh: Updated ${messages.length} messages`);
-        }
+      if (album && groupedId === album.groupedId) {
+        // Album items upload one after another so a large album does not
+        // multiply the number of parallel file uploads
+        const item = data;
+        const previous = album.post[album.post.length - 1].upload;
+        album.post.push({ data: item, upload: previous.then(() => this.prepareUpload(client, item)) });
+        continue;
       }
 
-      // Task 3: Duplicate messages only works if the duplicate messages send together line number of three in one line then they will remove the duplicate messages not for the whole sessions it will work work when their is one after the other.
-      // This task is inherently handled by the nature of how messages are processed sequentially and media is checked.
-      // If duplicates are sent consecutively, the `checkFileExist` within `downloadMessage` will correctly identify and skip them.
-      // For non-consecutive duplicates, the script will attempt to download them if they are in different batches and `checkFileExist` will work as intended for each message.
+      const post = [{ data, upload: this.prepareUpload(client, data) }];
+      album = groupedId ? { groupedId, post } : null;
+      inFlight.push(post);
+      if (inFlight.length >= PARALLEL_FILE_UPLOADS) {
+        await publishOldest();
+      }
+    }
 
-      // Phase 1: Ultra-high-speed parallel download
-      logger.info(
-        `📥 Phase 1: Ultra-download ${messages.length} messages (${MAX_PARALLEL_DOWNLOADS_CONFIG} workers, ${CHUNK_SIZE_CONFIG / 1024 / 1024}MB chunks)`,
-      );
-      const downloadedData = await this.downloadBatch(
-        client,
-        messages,
-        channelId,
-      );
+    while (inFlight.length > 0) {
+      await publishOldest();
+    }
+  }
 
-      // Phase 2: Ultra-high-speed parallel upload
-      if (this.uploadMode && downloadedData.length > 0) {
-        logger.info(
-          `📤 Phase 2: Ultra-upload ${downloadedData.length} messages (${MAX_PARALLEL_UPLOADS_CONFIG} workers)`,
-        );
-        await this.ensureConnectionHealth(client);
-        const uploadedData = await this.uploadBatch(client, downloadedData);
+  /**
+   * Report a finished batch on the event channel, after writing its records
+   */
+  reportBatchDone(channelId, batchIndex, totalBatches) {
+    this.saveProgress();
+    emitEvent(EVENT_TYPES.BATCH_DONE, {
+      channelId,
+      batch: batchIndex + 1,
+      totalBatches,
+      downloaded: this.totalDownloaded,
+      uploaded: this.totalUploaded,
+    });
+    logger.info(
+      `✅ Ultra-speed batch ${batchIndex + 1}/${totalBatches} complete (Current: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps, Avg: " + this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "Complete"})`,
+    );
+  }
 
-        // Phase 3: Ultra-fast cleanup
-        logger.info(`🗑️ Phase 3: Ultra-cleanup ${uploadedData.length} files`);
-        await this.cleanupBatch(uploadedData);
-      }
+  /**
+   * Runs downloads and uploads side by side: download workers fill a bounded
+   * upload queue while the uploader publishes what is ready, so the next
+   * files download while earlier ones upload. Posts reach the target in
+   * message order because a single uploader drains the queue in order.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array} messages - Messages to process, oldest first.
+   */
+  async runPipeline(client, channelId, messages) {
+    const totalBatches = Math.ceil(messages.length / BATCH_SIZE);
+    const startTime = Date.now();
 
-      logger.info(
-        `✅ Ultra-speed batch ${batchIndex + 1}/${totalBatches} complete (Current: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps, Avg: " + this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "Complete"})`,
+    if (!this.uploadMode) {
+      await this.downloadStage(client, channelId, messages, null);
+    } else {
+      await this.ensureConnectionHealth(client);
+      const queue = new AsyncQueue(UPLOAD_QUEUE_LIMIT);
+      // A failed uploader stops draining the queue, fail it so the
+      // downloads waiting for space give up instead of hanging
+      const uploader = this.uploadStage(client, channelId, queue, totalBatches).catch((error) => {
+        queue.fail(error);
+        throw error;
+      });
+      const downloader = this.downloadStage(client, channelId, messages, queue).finally(() =>
+        queue.close(),
       );
-    } catch (error) {
-      logger.error(`❌ Batch error ${batchIndex + 1}: ${error.message}`);
 
-      // Enhanced retry with adaptive recovery
-      try {
-        const messageIds = messages.map((m) => m.id);
-        const retryMessages = await this.refreshMessagesBatch(
-          client,
-          channelId,
-          messageIds,
-        );
-        if (retryMessages && retryMessages.length > 0) {
-          await this.ensureConnectionHealth(client);
-          await this.processBatch(
-            client,
-            retryMessages,
-            batchIndex,
-            totalBatches,
-            channelId,
-          );
-        }
-      } catch (retryError) {
-        logger.error(`❌ Batch retry failed: ${retryError.message}`);
-      }
+      // Both stages finish before the first error is passed on
+      const results = await Promise.allSettled([downloader, uploader]);
+      const failed = results.find((result) => result.status === "rejected");
+      if (failed) throw failed.reason;
     }
+
+    const seconds = (Date.now() - startTime) / 1000;
+    logger.info(
+      `⏱️ Pipeline finished ${messages.length} messages in ${seconds.toFixed(1)}s (Avg: ${this.speedMonitor ? this.speedMonitor.getAverageSpeedMbps() + " Mbps" : "N/A"})`,
+    );
   }
 
   /**
@@ -1669,147 +2025,700 @@ class DownloadChannel {
   }
 
   /**
-   * MAIN ultra-high-speed download function with 35+ Mbps target
+   * MAIN ultra-high-speed download function with 35+ Mbps target
+   */
+  async downloadChannel(client, channelId, offsetMsgId = 0) {
+    try {
+      this.initializeSpeedMonitor();
+
+      this.outputFolder =
+        this.outputRoot || path.join(getWorkspaceDir(), "export", channelId.toString());
+      if (!this.manifest || this.manifest.channelId !== String(channelId)) {
+        this.manifest = new ChannelManifest(channelId, this.outputFolder);
+      }
+      if (this.uploadMode) {
+        this.targets.forEach((target) => {
+          if (!target.messageMap || target.messageMap.sourceChannelId !== String(channelId)) {
+            target.messageMap = new MessageMap(channelId, target.channelId, this.outputFolder);
+          }
+        });
+      }
+      if (this.uploadMode && this.transferMode === "auto" && this.sourceProtected === null) {
+        this.sourceProtected = await this.detectContentProtection(client, channelId);
+      }
+
+      if (this.downloadMode === "specific") {
+        return await this.downloadSpecificMessages(client, channelId);
+      }
+
+      if (this.selectiveMode && offsetMsgId === 0) {
+        // A reverse fetch starts after the offset, the start message is included
+        offsetMsgId = this.startFromMessageId - 1;
+        logger.info(
+          `📋 Selective mode: Starting from message ID ${this.startFromMessageId}`,
+        );
+      }
+
+      const messages = await this.retryOperation(async () => {
+        return await getMessages(
+          client,
+          channelId,
+          MESSAGE_LIMIT_CONFIG,
+          offsetMsgId,
+          true,
+        );
+      });
+
+      if (!messages.length) {
+        logger.info("🎉 Ultra-speed processing complete! No more messages.");
+        this.showProgress(0);
+        return;
+      }
+
+      let filteredMessages = messages;
+      if (this.selectiveMode) {
+        filteredMessages = messages.filter(
+          (msg) => msg.id >= this.startFromMessageId,
+        );
+        logger.info(
+          `📋 Filtered ${filteredMessages.length} messages from ${messages.length}`,
+        );
+      }
+
+      filteredMessages.sort((a, b) => a.id - b.id);
+
+      const ids = filteredMessages.map((m) => m.id);
+      const details = await this.retryOperation(async () => {
+        return await getMessageDetail(client, channelId, ids);
+      });
+
+      details.sort((a, b) => a.id - b.id);
+      const processedCount = await this.processMessages(client, channelId, details);
+
+      const maxId = Math.max(...filteredMessages.map((m) => m.id));
+
+      this.showProgress(processedCount);
+
+      // Check if there are more messages to process
+      if (messages.length === MESSAGE_LIMIT_CONFIG) {
+        // There might be more messages, continue with next batch
+        await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
+        await this.downloadChannel(client, channelId, maxId);
+      } else {
+        // All messages processed for this channel
+        logger.info("🎉 Ultra-speed processing complete! No more messages.");
+        this.showProgress(processedCount);
+        return;
+      }
+    } catch (err) {
+      logger.error("Ultra-speed processing error:");
+      console.error(err);
+
+      if (err.message && err.message.includes("FLOOD_WAIT")) {
+        const waitTime =
+          parseInt(err.message.match(/\d+/)?.[0] || "300") * 1000;
+        this.updateFloodWaitHistory(true, waitTime / 1000);
+        logger.info(
+          `⚠️ Rate limited! Waiting ${waitTime / 1000}s... (Adaptive: ${this.adaptiveDelayMultiplier.toFixed(2)}x)`,
+        );
+        await this.precisionDelay(waitTime);
+        return await this.downloadChannel(client, channelId, offsetMsgId);
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * Downloads exactly the message IDs chosen in "specific" mode, looking
+   * them up in chunks and reporting the IDs that do not exist.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   */
+  async downloadSpecificMessages(client, channelId) {
+    const ids = this.specificMessageIds || [];
+    const found = [];
+
+    for (let i = 0; i < ids.length; i += MESSAGE_DETAIL_CHUNK) {
+      const chunk = ids.slice(i, i + MESSAGE_DETAIL_CHUNK);
+      const details = await this.retryOperation(async () => {
+        return await getMessageDetail(client, channelId, chunk);
+      }, "Message lookup");
+
+      // Deleted or never-existing IDs come back empty
+      found.push(
+        ...details.filter((msg) => msg && msg.id && msg.className !== "MessageEmpty"),
+      );
+    }
+
+    const foundIds = new Set(found.map((msg) => msg.id));
+    const missingIds = ids.filter((id) => !foundIds.has(id));
+    logger.info(`📋 Found ${found.length}/${ids.length} requested messages`);
+    if (missingIds.length > 0) {
+      logger.warn(
+        `⚠️ ${missingIds.length} message IDs do not exist: ${formatMessageIdRanges(missingIds)}`,
+      );
+    }
+
+    found.sort((a, b) => a.id - b.id);
+    const processedCount = await this.processMessages(client, channelId, found, { missingIds });
+    logger.info("🎉 Ultra-speed processing complete! All requested messages handled.");
+    this.showProgress(processedCount);
+  }
+
+  /**
+   * Downloads (and uploads) a list of fetched messages in batches.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {Array} details - Full messages, oldest first.
+   * @param {Object} [queued={}] - Extra fields for the MESSAGES_QUEUED event.
+   * @returns {Promise<number>} The number of messages that were processed.
+   */
+  async processMessages(client, channelId, details, queued = {}) {
+    const targets = this.uploadMode ? this.targets : [];
+    const selected = details.filter((msg) => this.shouldProcess(msg));
+    const messagesToProcess = selected.filter((msg) =>
+      targets.length > 0
+        ? targets.some((target) => !this.isMirrored(msg.id, target))
+        : !this.manifest.isDone(msg.id),
+    );
+
+    if (messagesToProcess.length < selected.length) {
+      logger.info(
+        `⏭️ Skipping ${selected.length - messagesToProcess.length} messages already done in an earlier run`,
+      );
+    }
+    this.manifest.markPending(messagesToProcess.map((msg) => msg.id));
+
+    logger.info(
+      `📋 Ultra-processing ${messagesToProcess.length}/${details.length} messages`,
+    );
+    logger.info(
+      `🚀 ULTRA-SPEED CONFIG: ${BATCH_SIZE} batches, ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers`,
+    );
+    logger.info(
+      `⚡ SPEED OPTIMIZATION: ${CHUNK_SIZE_CONFIG / 1024 / 1024}MB chunks, ${RATE_LIMIT_DELAY_CONFIG}ms delays, 35+ Mbps target`,
+    );
+
+    for (const target of targets) {
+      const targetName = await getDialogName(client, target.channelId);
+      logger.info(`📤 Target: ${targetName}`);
+    }
+
+    const totalBatches = Math.ceil(messagesToProcess.length / BATCH_SIZE);
+    this.totalMessages = messagesToProcess.length;
+    emitEvent(EVENT_TYPES.MESSAGES_QUEUED, {
+      channelId,
+      count: messagesToProcess.length,
+      totalBatches,
+      ...queued,
+    });
+
+    await this.runPipeline(client, channelId, messagesToProcess);
+
+    this.recordMessages(details);
+    this.saveProgress();
+    details.forEach((msg) => {
+      this.lastSeenMessageId = Math.max(this.lastSeenMessageId, msg.id);
+    });
+    return messagesToProcess.length;
+  }
+
+  /**
+   * Follow mode: once the history is done, listens for new posts in the
+   * source channel and processes them as they arrive. Every cycle fetches
+   * all posts after the last processed one, so posts whose update was
+   * missed (e.g. while reconnecting) are picked up by the next cycle.
+   * Runs until the process is stopped.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   */
+  async followChannel(client, channelId) {
+    // New-message updates received since the last cycle
+    let announced = 0;
+    // Edits and deletions of source posts waiting to be synced
+    const edited = new Map();
+    const deleted = new Set();
+    let wake = null;
+    let lastReconcile = Date.now();
+
+    const onNewMessage = (event) => {
+      if (event.message && event.message.id > this.lastSeenMessageId) {
+        announced++;
+        if (wake) wake();
+      }
+    };
+    const onEditedMessage = (event) => {
+      if (this.syncEdits && event.message) {
+        edited.set(event.message.id, event.message);
+        if (wake) wake();
+      }
+    };
+    // Deletion updates carry no reliable chat filter, so the channel is checked here
+    const sourceChannel = String(channelId).replace(/^-100/, "");
+    const onDeletedMessage = (event) => {
+      if (
+        this.syncDeletes &&
+        event.peer &&
+        String(event.peer.channelId) === sourceChannel
+      ) {
+        event.deletedIds.forEach((id) => deleted.add(id));
+        if (wake) wake();
+      }
+    };
+
+    const newFilter = new NewMessage({ chats: [channelId] });
+    const editFilter = new EditedMessage({ chats: [channelId] });
+    const deleteFilter = new DeletedMessage({});
+    client.addEventHandler(onNewMessage, newFilter);
+    client.addEventHandler(onEditedMessage, editFilter);
+    client.addEventHandler(onDeletedMessage, deleteFilter);
+
+    // Nothing was found at or after the start message, follow from there
+    if (this.selectiveMode && this.lastSeenMessageId < this.startFromMessageId) {
+      this.lastSeenMessageId = this.startFromMessageId - 1;
+    }
+
+    logger.info(`👀 Following ${channelId} for posts after message ${this.lastSeenMessageId}`);
+    emitEvent(EVENT_TYPES.FOLLOWING, {
+      channelId,
+      lastMessageId: this.lastSeenMessageId,
+    });
+
+    try {
+      while (true) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, FOLLOW_POLL_INTERVAL);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          if (announced > 0 || edited.size > 0 || deleted.size > 0) wake();
+        });
+        wake = null;
+
+        if (announced > 0) {
+          await this.precisionDelay(FOLLOW_SETTLE_DELAY);
+        }
+        const expected = announced;
+        announced = 0;
+
+        try {
+          await this.processNewPosts(client, channelId, expected);
+
+          const edits = [...edited.values()];
+          edited.clear();
+          for (const message of edits) {
+            await this.syncEdit(client, message);
+          }
+
+          const deletions = [...deleted];
+          deleted.clear();
+          await this.syncDeletions(client, deletions.sort((a, b) => a - b));
+
+          // Catches changes whose update never arrived
+          if (Date.now() - lastReconcile >= RECONCILE_INTERVAL) {
+            lastReconcile = Date.now();
+            await this.reconcileMirror(client, channelId);
+          }
+        } catch (error) {
+          logger.error(`❌ Follow cycle failed: ${error.message}`);
+          announced += expected;
+          await this.precisionDelay(FOLLOW_RETRY_DELAY);
+        }
+      }
+    } finally {
+      client.removeEventHandler(onNewMessage, newFilter);
+      client.removeEventHandler(onEditedMessage, editFilter);
+      client.removeEventHandler(onDeletedMessage, deleteFilter);
+    }
+  }
+
+  /**
+   * Carries an edit of a source post over to its mirrored copies. Edits
+   * that change nothing the mirror shows (e.g. reactions) are skipped by
+   * their edit date.
+   * @param {Object} client - Telegram client.
+   * @param {Object} message - The edited source message.
+   * @returns {Promise<boolean>} True when a mirrored post was edited.
    */
-  async downloadChannel(client, channelId, offsetMsgId = 0) {
-    try {
-      this.initializeSpeedMonitor();
+  async syncEdit(client, message) {
+    if (!this.syncEdits || !message.editDate) return false;
 
-      this.outputFolder = path.join(
-        process.cwd(),
-        "export",
-        channelId.toString(),
-      );
+    // Polls, locations, venues and contacts carry no caption
+    if (isNativeMedia(message.media)) return false;
 
-      if (this.selectiveMode && offsetMsgId === 0) {
-        offsetMsgId = this.startFromMessageId;
-        logger.info(
-          `📋 Selective mode: Starting from message ID ${offsetMsgId}`,
-        );
+    let synced = false;
+    for (const target of this.targets) {
+      const messageMap = target.messageMap;
+      const targetMessageId = messageMap ? messageMap.get(message.id) : null;
+      if (!targetMessageId || message.editDate <= messageMap.getEditDate(message.id)) {
+        continue;
       }
 
-      const messages = await this.retryOperation(async () => {
-        return await getMessages(
-          client,
-          channelId,
-          MESSAGE_LIMIT_CONFIG,
-          offsetMsgId,
-          true,
+      try {
+        const changed = await this.retryOperation(
+          () => editMirroredMessage(client, target.channelId, targetMessageId, message, this.getCaption(message)),
+          `editing mirrored message ${targetMessageId}`,
+        );
+        messageMap.setEditDate(message.id, message.editDate);
+        if (changed) {
+          logger.info(`✏️ Synced edit of message ${message.id} to ${targetMessageId} in ${target.channelId}`);
+          synced = true;
+        }
+      } catch (error) {
+        logger.error(
+          `❌ Could not sync edit of message ${message.id} to ${target.channelId}: ${error.message}`,
         );
-      });
-
-      if (!messages.length) {
-        logger.info("🎉 Ultra-speed processing complete! No more messages.");
-        this.showProgress(0);
-        return;
       }
+    }
+    return synced;
+  }
 
-      let filteredMessages = messages;
-      if (this.selectiveMode) {
-        filteredMessages = messages.filter(
-          (msg) => msg.id >= this.startFromMessageId,
+  /**
+   * Deletes the mirrored copies of source posts that were deleted, in every
+   * target.
+   * @param {Object} client - Telegram client.
+   * @param {Array<number>} sourceIds - Deleted source messages.
+   * @returns {Promise<number>} The number of mirrored posts deleted.
+   */
+  async syncDeletions(client, sourceIds) {
+    if (!this.syncDeletes) return 0;
+
+    let deleted = 0;
+    for (const target of this.targets) {
+      const messageMap = target.messageMap;
+      const mirrored = messageMap ? sourceIds.filter((id) => messageMap.has(id)) : [];
+      if (mirrored.length === 0) continue;
+
+      try {
+        await this.retryOperation(
+          () =>
+            deleteMirroredMessages(
+              client,
+              target.channelId,
+              mirrored.map((id) => messageMap.get(id)),
+            ),
+          `deleting ${mirrored.length} mirrored messages`,
         );
-        logger.info(
-          `📋 Filtered ${filteredMessages.length} messages from ${messages.length}`,
+      } catch (error) {
+        logger.error(
+          `❌ Could not sync deletion of messages ${formatMessageIdRanges(mirrored)} to ${target.channelId}: ${error.message}`,
         );
+        continue;
       }
 
-      filteredMessages.sort((a, b) => a.id - b.id);
-
-      const ids = filteredMessages.map((m) => m.id);
-      const details = await this.retryOperation(async () => {
-        return await getMessageDetail(client, channelId, ids);
+      mirrored.forEach((id) => {
+        messageMap.delete(id);
+        if (this.manifest) this.manifest.markDeleted(id);
       });
+      deleted += mirrored.length;
+      logger.info(`🗑️ Synced deletion of messages ${formatMessageIdRanges(mirrored)} to ${target.channelId}`);
+    }
+    return deleted;
+  }
 
-      details.sort((a, b) => a.id - b.id);
-      const messagesToProcess = details.filter((msg) =>
-        this.shouldProcess(msg),
+  /**
+   * Looks up every mirrored source post and syncs the ones that were edited
+   * or deleted since they were mirrored, for changes no update reported.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   */
+  async reconcileMirror(client, channelId) {
+    if (!this.syncEdits && !this.syncDeletes) return;
+
+    const sourceIds = [
+      ...new Set(
+        this.targets.flatMap((target) => (target.messageMap ? target.messageMap.getSourceIds() : [])),
+      ),
+    ].sort((a, b) => a - b);
+    if (sourceIds.length === 0) return;
+    logger.info(`🔁 Reconciling ${sourceIds.length} mirrored posts with the source`);
+
+    const missing = [];
+    let edited = 0;
+    for (let i = 0; i < sourceIds.length; i += MESSAGE_DETAIL_CHUNK) {
+      const chunk = sourceIds.slice(i, i + MESSAGE_DETAIL_CHUNK);
+      const details = await this.retryOperation(
+        () => getMessageDetail(client, channelId, chunk),
+        "reconciling mirrored posts",
       );
-
-      logger.info(
-        `📋 Ultra-processing ${messagesToProcess.length}/${details.length} messages`,
+      const found = new Map(
+        details
+          .filter((msg) => msg && msg.id && msg.className !== "MessageEmpty")
+          .map((msg) => [msg.id, msg]),
       );
-      logger.info(
-        `🚀 ULTRA-SPEED CONFIG: ${BATCH_SIZE} batches, ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers`,
+
+      for (const id of chunk) {
+        const message = found.get(id);
+        if (!message) {
+          missing.push(id);
+        } else if (await this.syncEdit(client, message)) {
+          edited++;
+        }
+      }
+    }
+
+    let deleted = 0;
+    if (missing.length === sourceIds.length) {
+      // More likely lost access to the source than an emptied channel
+      logger.warn("⚠️ None of the mirrored posts were found in the source, not deleting anything");
+    } else {
+      deleted = await this.syncDeletions(client, missing);
+    }
+    logger.info(`🔁 Reconcile done: ${edited} edited, ${deleted} deleted`);
+  }
+
+  /**
+   * Processes every post after the last processed message.
+   * @param {Object} client - Telegram client.
+   * @param {string|number} channelId - Source channel.
+   * @param {number} [expected=0] - New-message updates received for them, to detect gaps.
+   */
+  async processNewPosts(client, channelId, expected = 0) {
+    if (!client.connected) {
+      await this.reconnectClient(client);
+    }
+
+    let found = 0;
+    while (true) {
+      const offsetId = this.lastSeenMessageId;
+      const messages = await this.retryOperation(
+        () => getMessages(client, channelId, MESSAGE_LIMIT_CONFIG, offsetId, true),
+        "fetching new posts",
       );
-      logger.info(
-        `⚡ SPEED OPTIMIZATION: ${CHUNK_SIZE_CONFIG / 1024 / 1024}MB chunks, ${RATE_LIMIT_DELAY_CONFIG}ms delays, 35+ Mbps target`,
+      const newPosts = messages
+        .filter((msg) => msg.id > offsetId)
+        .sort((a, b) => a.id - b.id);
+      if (newPosts.length === 0) break;
+
+      found += newPosts.length;
+      logger.info(`🆕 ${newPosts.length} new posts after message ${offsetId}`);
+      await this.processMessages(client, channelId, newPosts, { live: true });
+
+      if (messages.length < MESSAGE_LIMIT_CONFIG) break;
+    }
+
+    if (found > expected) {
+      logger.warn(
+        `🕳️ Gap detected: ${found - expected} new posts arrived without an update and were picked up by ID`,
       );
+    }
+  }
 
-      if (this.uploadMode) {
-        const targetName = await getDialogName(client, this.targetChannelId);
-        logger.info(`📤 Target: ${targetName}`);
-      }
+  /**
+   * Asks for a t.me link, @username or chat ID and resolves it, asking again
+   * until it resolves. An empty answer means "pick from my chats instead".
+   * @param {Object} client - Telegram client.
+   * @returns {Promise<Object|null>} { channelId, name, messageId } or null.
+   */
+  async selectChannelByLink(client) {
+    let message =
+      "Paste a t.me link, @username or chat ID (leave empty to choose from your chats):";
 
-      const totalBatches = Math.ceil(messagesToProcess.length / BATCH_SIZE);
-      this.totalMessages = messagesToProcess.length;
+    while (true) {
+      const input = (await textInput(message, "sourceLink")).trim();
+      if (!input) return null;
 
-      for (let i = 0; i < messagesToProcess.length; i += BATCH_SIZE) {
-        const batch = messagesToProcess.slice(i, i + BATCH_SIZE);
-        const batchIndex = Math.floor(i / BATCH_SIZE);
+      const reference = parseChatLink(input);
+      if (!reference) {
+        message = `"${input}" is not a t.me link, @username or chat ID. Try again (leave empty to choose from your chats):`;
+        continue;
+      }
 
-        logger.info(
-          `🚀 Ultra-speed batch ${batchIndex + 1}/${totalBatches} - ${batch.length} messages`,
-        );
-        await this.processBatch(
-          client,
-          batch,
-          batchIndex,
-          totalBatches,
-          channelId,
-        );
+      try {
+        const { channelId, name } = await resolveChatReference(client, reference);
+        logger.info(`🔗 Resolved ${input} → ${name || channelId} (${channelId})`);
+        return { channelId, name, messageId: reference.messageId };
+      } catch (error) {
+        logger.warn(`Could not resolve ${input}: ${error.message}`);
+        message = `Could not open ${input} (${error.message}). Check the link and that you are a member, then try again (leave empty to choose from your chats):`;
+      }
+    }
+  }
 
-        if (i + BATCH_SIZE < messagesToProcess.length) {
-          logger.info(
-            `⏳ Ultra-precision delay ${RATE_LIMIT_DELAY_CONFIG}ms before next ultra-batch...`,
-          );
-          await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
+  /**
+   * Asks whether to filter the messages and, if so, for each filter in turn.
+   * Invalid answers are asked again; empty or "-" leaves a filter unset.
+   * @returns {Promise<Object|null>} The filter set, or null for no filters.
+   */
+  async askFilters() {
+    const useFilters = await booleanInput(
+      "Filter messages by date, size, caption or sender?",
+      "useFilters",
+    );
+    if (!useFilters) return null;
+
+    const filters = {};
+    for (const field of FILTER_FIELDS) {
+      let question = `${field.question} (leave empty or "-" to skip):`;
+      while (true) {
+        const answer = await textInput(question, field.prompt);
+        try {
+          validateFilter(field.key, answer);
+          if (!isSkipped(answer)) filters[field.key] = answer.trim();
+          break;
+        } catch (error) {
+          question = `${error.message}. ${field.question} (leave empty or "-" to skip):`;
         }
       }
+    }
 
-      this.recordMessages(details);
+    const content = await selectInput(
+      "Which messages should be kept?",
+      CONTENT_FILTERS,
+      "filterContent",
+    );
+    if (content !== "any") filters.content = content;
 
-      const maxId = Math.max(...filteredMessages.map((m) => m.id));
-      updateLastSelection({
-        messageOffsetId: maxId,
-      });
+    return Object.keys(filters).length > 0 ? filters : null;
+  }
 
-      this.showProgress(messagesToProcess.length);
+  /**
+   * Asks whether to rewrite captions of mirrored posts and, if so, for the
+   * rules. Invalid rules are asked again.
+   * @returns {Promise<string|null>} The rules as typed, or null for none.
+   */
+  async askCaptionRules() {
+    const useRules = await booleanInput(
+      "Rewrite captions of mirrored posts (strip links/mentions/hashtags, replace words, add a header or footer)?",
+      "useCaptionRules",
+    );
+    if (!useRules) return null;
 
-      // Check if there are more messages to process
-      if (messages.length === MESSAGE_LIMIT_CONFIG) {
-        // There might be more messages, continue with next batch
-        await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
-        await this.downloadChannel(client, channelId, maxId);
-      } else {
-        // All messages processed for this channel
-        logger.info("🎉 Ultra-speed processing complete! No more messages.");
-        this.showProgress(messagesToProcess.length);
-        return;
+    const help =
+      `Rules separated by ";": ${CAPTION_RULES.map((rule) => rule.syntax).join("; ")}. ` +
+      `Templates may use ${PLACEHOLDERS.join(", ")}, \\n is a line break.`;
+    let question = `${help}\nCaption rules:`;
+    while (true) {
+      const answer = await textInput(question, "captionRules");
+      if (isSkipped(answer)) return null;
+      try {
+        parseCaptionRules(answer);
+        // Untrimmed, a trailing space may belong to a prepend template
+        return answer;
+      } catch (error) {
+        question = `${error.message}. ${help}\nCaption rules:`;
       }
-    } catch (err) {
-      logger.error("Ultra-speed processing error:");
-      console.error(err);
+    }
+  }
 
-      if (err.message && err.message.includes("FLOOD_WAIT")) {
-        const waitTime =
-          parseInt(err.message.match(/\d+/)?.[0] || "300") * 1000;
-        this.updateFloodWaitHistory(true, waitTime / 1000);
-        logger.info(
-          `⚠️ Rate limited! Waiting ${waitTime / 1000}s... (Adaptive: ${this.adaptiveDelayMultiplier.toFixed(2)}x)`,
-        );
-        await this.precisionDelay(waitTime);
-        return await this.downloadChannel(client, channelId, offsetMsgId);
+  /**
+   * Asks for more target channels after the first one, until the user
+   * declines or no chat is left. Every target gets each post, while the
+   * source is downloaded only once.
+   * @param {Array<Object>} allChannels - The user's dialogs.
+   * @param {string|number} sourceChannelId - Source channel, never a target.
+   */
+  async askExtraTargets(allChannels, sourceChannelId) {
+    while (true) {
+      const taken = new Set([
+        String(sourceChannelId),
+        ...this.targets.map((target) => String(target.channelId)),
+      ]);
+      const targetOptions = allChannels
+        .filter((d) => d.name && d.id && !taken.has(String(d.id)))
+        .map((d) => ({ name: `${d.name} (${d.id})`, value: d.id, type: d.type }));
+      if (targetOptions.length === 0) return;
+
+      const addTarget = await booleanInput(
+        `Mirror to another target channel as well? (${this.targets.length} selected)`,
+        "addTarget",
+      );
+      if (!addTarget) return;
+
+      const channelId = await selectInput(
+        "Select an additional target channel",
+        targetOptions,
+        "extraTarget",
+      );
+      this.targets.push({ channelId, messageMap: null });
+    }
+  }
+
+  /**
+   * Resolves a chat reference of a job.
+   * @param {Object} client - Telegram client.
+   * @param {Object} chat - { input, reference } from the job spec.
+   * @returns {Promise<string|number>} The chat ID.
+   */
+  async resolveJobChat(client, chat) {
+    try {
+      const { channelId, name } = await resolveChatReference(client, chat.reference);
+      logger.info(`🔗 Resolved ${chat.input} → ${name || channelId} (${channelId})`);
+      return channelId;
+    } catch (error) {
+      throw new Error(`Could not open ${chat.input}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Configures a headless job from its validated spec, without prompting.
+   * @param {Object} client - Telegram client.
+   * @returns {Promise<Object>} { channelId, messageOffsetId }.
+   */
+  async configureJob(client) {
+    const job = this.job;
+    const channelId = await this.resolveJobChat(client, job.channel);
+
+    this.targets = [];
+    for (const chat of job.targets) {
+      const targetChannelId = await this.resolveJobChat(client, chat);
+      if (String(targetChannelId) === String(channelId)) {
+        throw new Error(`--target: ${chat.input} is the source channel`);
       }
+      if (!this.targets.some((target) => String(target.channelId) === String(targetChannelId))) {
+        this.targets.push({ channelId: targetChannelId, messageMap: null });
+      }
+    }
+    this.uploadMode = this.targets.length > 0;
+
+    this.downloadMode = job.mode;
+    this.specificMessageIds = job.ids;
+    this.startFromMessageId = job.from;
+    this.downloadToEndMode = job.mode === "toEnd";
+    this.selectiveMode = job.mode !== "full";
+    this.filters = job.filters;
+    this.messageFilter = createMessageFilter(this.filters);
+    this.downloadableFiles = job.downloadableFiles;
+    this.outputRoot = job.output;
+    this.captionRules = job.captionRules;
+    this.rewriteRules = parseCaptionRules(this.captionRules);
+    this.transferMode = job.transfer;
+    this.hideSender = job.hideSender;
+    this.syncEdits = job.syncEdits;
+    this.syncDeletes = job.syncDeletes;
+    this.followMode = job.follow;
 
-      throw err;
+    logger.info(
+      `🤖 Headless job: ${job.mode}` +
+        (job.mode === "specific" ? ` (${job.ids.length} messages)` : "") +
+        (job.mode === "toEnd" ? ` from message ${job.from}` : "") +
+        (this.uploadMode
+          ? `, mirroring to ${this.targets.map((target) => target.channelId).join(", ")}`
+          : ", download only"),
+    );
+    if (this.filters) {
+      logger.info(`🔎 Filters:\n${describeFilters(this.filters)}`);
+    }
+    if (this.captionRules) {
+      logger.info(`✏️ Caption rules:\n${describeCaptionRules(this.captionRules)}`);
     }
+
+    const messageOffsetId = 0;
+    updateLastSelection({ messageOffsetId, channelId });
+    return { channelId, messageOffsetId };
   }
 
   /**
    * Enhanced configuration with ultra-speed optimization
    */
   async configureDownload(options, client) {
+    if (this.job) {
+      return await this.configureJob(client);
+    }
+
+    this.outputRoot = null;
     let channelId = options.channelId;
     let downloadableFiles = options.downloadableFiles;
 
@@ -1820,39 +2729,49 @@ class DownloadChannel {
       logger.info("🔄 Resuming with existing login credentials - Starting from channel selection");
     }
 
+    let linkedMessageId = null;
     if (!channelId) {
       logger.info("Select channel for ULTRA-SPEED download (35+ Mbps target)");
       const allChannels = await getAllDialogs(client);
+      const linked = await this.selectChannelByLink(client);
 
-      const useSearch = await booleanInput(
-        "Search channel by name? (No = browse all)",
-      );
-
-      let selectedChannelId;
-      if (useSearch) {
-        const { searchDialog } = require("../modules/dialoges");
-        selectedChannelId = await searchDialog(allChannels);
+      if (linked) {
+        channelId = linked.channelId;
+        linkedMessageId = linked.messageId;
       } else {
-        const validChannels = allChannels.filter((d) => d.name && d.id);
-        const channelOptions = validChannels.map((d) => {
-          const displayName = `${d.name} (${d.id})`;
-          return {
-            name: displayName,
-            value: d.id,
-          };
-        });
+        const useSearch = await booleanInput(
+          "Search channel by name? (No = browse all)",
+          "sourceSearch",
+        );
+
+        let selectedChannelId;
+        if (useSearch) {
+          const { searchDialog } = require("../modules/dialoges");
+          selectedChannelId = await searchDialog(allChannels);
+        } else {
+          const validChannels = allChannels.filter((d) => d.name && d.id);
+          const channelOptions = validChannels.map((d) => {
+            const displayName = `${d.name} (${d.id})`;
+            return {
+              name: displayName,
+              value: d.id,
+              type: d.type,
+            };
+          });
+
+          if (channelOptions.length === 0) {
+            throw new Error("No valid channels found!");
+          }
 
-        if (channelOptions.length === 0) {
-          throw new Error("No valid channels found!");
+          selectedChannelId = await selectInput(
+            "Select source channel for ULTRA-SPEED download",
+            channelOptions,
+            "sourceChannel",
+          );
         }
 
-        selectedChannelId = await selectInput(
-          "Select source channel for ULTRA-SPEED download",
-          channelOptions,
-        );
+        channelId = selectedChannelId;
       }
-
-      channelId = selectedChannelId;
     }
 
     // Download mode selection
@@ -1862,42 +2781,73 @@ class DownloadChannel {
       { name: "Download FROM message TO END", value: "toEnd" },
     ];
 
-    const downloadMode = await selectInput(
-      "Choose ULTRA-SPEED download mode:",
-      downloadModeOptions,
-    );
-
+    // A message link pre-fills "FROM message TO END" with the linked post
+    let downloadMode = null;
     let startFromMessageId = 0;
-    if (downloadMode === "specific") {
-      const { textInput } = require("../utils/input-helper");
-      const messageIdInput = await textInput(
-        "Enter specific message IDs (comma-separated): ",
+    if (linkedMessageId) {
+      const fromLinkedMessage = await booleanInput(
+        `Download FROM message ${linkedMessageId} TO END?`,
+        "useLinkedMessage",
+      );
+      if (fromLinkedMessage) {
+        downloadMode = "toEnd";
+        startFromMessageId = linkedMessageId;
+      }
+    }
+
+    if (!downloadMode) {
+      downloadMode = await selectInput(
+        "Choose ULTRA-SPEED download mode:",
+        downloadModeOptions,
+        "downloadMode",
       );
-      const messageIds = messageIdInput
-        .split(",")
-        .map((id) => parseInt(id.trim()))
-        .filter((id) => !isNaN(id));
-      if (messageIds.length === 0) {
-        throw new Error("No valid message IDs provided!");
+    }
+
+    if (downloadMode === "specific") {
+      let question = "Enter message IDs and ranges (e.g. 100-250, 300, 410-415): ";
+      let messageIds = null;
+      while (!messageIds) {
+        const messageIdInput = await textInput(question, "messageIds");
+        try {
+          messageIds = parseMessageIdRanges(messageIdInput);
+        } catch (error) {
+          question = `${error.message}. Enter message IDs and ranges (e.g. 100-250, 300, 410-415): `;
+        }
       }
       this.specificMessageIds = messageIds;
-      logger.info(`📋 Specific messages: ${messageIds.join(", ")}`);
+      logger.info(
+        `📋 Specific messages (${messageIds.length}): ${formatMessageIdRanges(messageIds)}`,
+      );
     } else if (downloadMode === "toEnd") {
-      const { textInput } = require("../utils/input-helper");
-      const messageIdInput = await textInput("Enter starting message ID: ");
-      startFromMessageId = parseInt(messageIdInput) || 0;
+      if (!startFromMessageId) {
+        const messageIdInput = await textInput(
+          "Enter starting message ID: ",
+          "startMessageId",
+        );
+        startFromMessageId = parseInt(messageIdInput) || 0;
+      }
       logger.info(`📋 Download from message ${startFromMessageId} to end`);
       this.downloadToEndMode = true;
     } else {
       logger.info("📋 ULTRA-SPEED full channel download (35+ Mbps target)");
     }
 
+    this.downloadMode = downloadMode;
+
+    // Flags given on the command line win over asking
+    this.filters = pickFilters(options) || (await this.askFilters());
+    this.messageFilter = createMessageFilter(this.filters);
+    if (this.filters) {
+      logger.info(`🔎 Filters:\n${describeFilters(this.filters)}`);
+    }
     this.selectiveMode = downloadMode !== "full";
     this.startFromMessageId = startFromMessageId;
 
     // Upload mode configuration
+    this.targets = [];
     this.uploadMode = await booleanInput(
       "Enable ULTRA-SPEED upload to another channel? (35+ Mbps)",
+      "uploadMode",
     );
 
     if (this.uploadMode) {
@@ -1906,12 +2856,13 @@ class DownloadChannel {
 
       const useSearchForTarget = await booleanInput(
         "Search target channel by name?",
+        "targetSearch",
       );
 
       let targetChannelId;
       if (useSearchForTarget) {
         const validTargetChannels = allChannels.filter(
-          (d) => d.name && d.id && d.id !== channelId,
+          (d) => d.name && d.id && String(d.id) !== String(channelId),
         );
         if (validTargetChannels.length === 0) {
           logger.warn("No valid target channels! Upload disabled.");
@@ -1922,13 +2873,14 @@ class DownloadChannel {
         }
       } else {
         const validTargetChannels = allChannels.filter(
-          (d) => d.name && d.id && d.id !== channelId,
+          (d) => d.name && d.id && String(d.id) !== String(channelId),
         );
         const targetOptions = validTargetChannels.map((d) => {
           const displayName = `${d.name} (${d.id})`;
           return {
             name: displayName,
             value: d.id,
+            type: d.type,
           };
         });
 
@@ -1939,14 +2891,16 @@ class DownloadChannel {
           targetChannelId = await selectInput(
             "Select target channel for ULTRA-SPEED upload",
             targetOptions,
+            "targetChannel",
           );
         }
       }
 
       if (this.uploadMode) {
-        this.targetChannelId = targetChannelId;
+        this.targets = [{ channelId: targetChannelId, messageMap: null }];
+        await this.askExtraTargets(allChannels, channelId);
         logger.info(
-          `📤 ULTRA-SPEED upload enabled (35+ Mbps): ${this.targetChannelId}`,
+          `📤 ULTRA-SPEED upload enabled (35+ Mbps): ${this.targets.map((target) => target.channelId).join(", ")}`,
         );
       }
     }
@@ -1955,6 +2909,75 @@ class DownloadChannel {
       logger.info("💾 ULTRA-SPEED local storage mode (35+ Mbps)");
     }
 
+    // Caption rules rewrite what is posted, so they are asked before the transfer mode
+    this.captionRules = null;
+    if (this.uploadMode) {
+      this.captionRules =
+        options.captionRules !== undefined ? options.captionRules : await this.askCaptionRules();
+    }
+    this.rewriteRules = parseCaptionRules(this.captionRules);
+    if (this.rewriteRules.length > 0) {
+      logger.info(`✏️ Caption rules:\n${describeCaptionRules(this.captionRules)}`);
+    } else {
+      this.captionRules = null;
+    }
+
+    // Forwarding saves the download and upload whenever the source allows it
+    this.transferMode = "reupload";
+    this.hideSender = false;
+    if (this.rewriteRules.length > 0) {
+      // A forwarded post keeps the source caption
+      logger.info("✏️ Caption rules are set, posts are re-uploaded instead of forwarded");
+    } else if (this.uploadMode) {
+      this.transferMode =
+        options.transfer ||
+        (await selectInput("How should posts reach the target?", TRANSFER_MODES, "transferMode"));
+      if (!TRANSFER_MODES.some((mode) => mode.value === this.transferMode)) {
+        throw new Error(`Unknown transfer mode "${this.transferMode}" (use auto or reupload)`);
+      }
+      if (this.transferMode === "auto") {
+        this.hideSender =
+          options.hideSender !== undefined
+            ? isEnabled(options.hideSender)
+            : await booleanInput(
+                "Hide the source on forwarded posts (copy without the forward header)?",
+                "hideSender",
+              );
+      }
+    }
+
+    // Keeping mirrored posts in line with later changes to the source
+    this.syncEdits = false;
+    this.syncDeletes = false;
+    if (this.uploadMode) {
+      this.syncEdits =
+        options.syncEdits !== undefined
+          ? isEnabled(options.syncEdits)
+          : await booleanInput(
+              "Carry later caption edits of source posts over to the target?",
+              "syncEdits",
+            );
+      this.syncDeletes =
+        options.syncDeletes !== undefined
+          ? isEnabled(options.syncDeletes)
+          : await booleanInput(
+              "Delete mirrored posts when the source post is deleted?",
+              "syncDeletes",
+            );
+    }
+
+    // Specific IDs are a fixed list, there is nothing new to follow
+    this.followMode = false;
+    if (downloadMode !== "specific") {
+      this.followMode =
+        options.follow !== undefined
+          ? isEnabled(options.follow)
+          : await booleanInput(
+              "Keep following the channel and process new posts as they arrive?",
+              "followMode",
+            );
+    }
+
     // Enhanced file type configuration
     if (!downloadableFiles) {
       downloadableFiles = {
@@ -1977,13 +3000,9 @@ class DownloadChannel {
 
     this.downloadableFiles = downloadableFiles;
 
-    const lastSelection = getLastSelection();
-    let messageOffsetId = lastSelection.messageOffsetId || 0;
-
-    if (Number(lastSelection.channelId) !== Number(channelId)) {
-      messageOffsetId = 0;
-    }
-
+    // Progress is kept per message in the channel's manifest, so every run
+    // scans the channel from the start and skips what is already done
+    const messageOffsetId = 0;
     updateLastSelection({ messageOffsetId, channelId });
     return { channelId, messageOffsetId };
   }
@@ -1993,8 +3012,13 @@ class DownloadChannel {
    */
   async handle(options = {}) {
     let client;
+    let exitCode = 0;
+    const headless = hasJobOptions(options);
 
     try {
+      // A headless job is checked in full before logging in
+      this.job = headless ? parseJobSpec(options) : null;
+
       await this.ultraOptimizedWait(100);
 
       // Check if this is a resume from existing session
@@ -2005,15 +3029,39 @@ class DownloadChannel {
         options.resumeSession = true;
       }
 
-      client = await initAuth();
+      // The bot stops a job with SIGTERM, pending records are written first
+      ["SIGTERM", "SIGINT"].forEach((signal) =>
+        process.once(signal, () => {
+          this.saveProgress();
+          process.exit(1);
+        }),
+      );
+      // A bot that died leaves nobody to answer prompts or stop the job
+      if (hasEventChannel()) {
+        onEventChannelClosed(() => {
+          logger.error("Bot disconnected, stopping");
+          this.saveProgress();
+          process.exit(1);
+        });
+      }
+
+      client = this.job ? await initSavedSession() : await initAuth();
 
       // Enable continuous mode - keep running until user chooses to exit
       await this.continuousMode(client, options);
     } catch (err) {
-      logger.error("ULTRA-SPEED processing error:");
-      console.error(err);
-      await this.ultraOptimizedWait(5000);
+      exitCode = 1;
+      if (headless) {
+        // Spec mistakes and login problems, the message says it all
+        logger.error(err.message);
+        emitEvent(EVENT_TYPES.JOB_ERROR, { message: err.message });
+      } else {
+        logger.error("ULTRA-SPEED processing error:");
+        console.error(err);
+        await this.ultraOptimizedWait(5000);
+      }
     } finally {
+      this.saveProgress();
       if (client) {
         try {
           await client.disconnect();
@@ -2021,7 +3069,7 @@ class DownloadChannel {
           logger.warn("Disconnect error:", disconnectErr.message);
         }
       }
-      process.exit(0);
+      process.exit(exitCode);
     }
   }
 
@@ -2047,7 +3095,12 @@ class DownloadChannel {
         this.lastRequestTime = 0;
         this.consecutiveFloodWaits = 0;
         this.consecutiveFileRefErrors = 0; // Reset file reference errors
+        this.failedFiles = 0;
         this.speedMonitor = null;
+        this.manifest = null;
+        this.targets = [];
+        this.lastSeenMessageId = 0;
+        this.sourceProtected = null;
 
         const { channelId, messageOffsetId } = await this.configureDownload(
           initialOptions,
@@ -2055,9 +3108,29 @@ class DownloadChannel {
         );
 
         const dialogName = await getDialogName(client, channelId);
+        this.sourceName = dialogName;
         logger.info(
           `🚀 ULTRA-HIGH-SPEED download (35+ Mbps target): ${dialogName}`,
         );
+        emitEvent(EVENT_TYPES.JOB_STARTED, {
+          channelId,
+          channelName: dialogName,
+          downloadMode: this.downloadMode,
+          startFromMessageId: this.startFromMessageId,
+          messageIds: this.downloadMode === "specific"
+            ? formatMessageIdRanges(this.specificMessageIds)
+            : null,
+          filters: this.filters,
+          uploadMode: this.uploadMode,
+          targetChannelId: this.uploadMode ? this.targets[0].channelId : null,
+          targetChannelIds: this.targets.map((target) => target.channelId),
+          followMode: this.followMode,
+          syncEdits: this.syncEdits,
+          syncDeletes: this.syncDeletes,
+          transferMode: this.uploadMode ? this.transferMode : null,
+          hideSender: this.hideSender,
+          captionRules: this.captionRules,
+        });
         logger.info(
           `⚙️ CONFIG: Batch=${BATCH_SIZE}, Upload=${this.uploadMode ? "ON" : "OFF"}`,
         );
@@ -2069,13 +3142,38 @@ class DownloadChannel {
         );
         logger.info(`📋 ORDER: Oldest → Newest`);
         logger.info(
-          `🔄 PATTERN: Download All ULTRA-PARALLEL → Upload All ULTRA-PARALLEL → Delete All`,
+          `🔄 PATTERN: Parallel downloads → bounded upload queue (${UPLOAD_QUEUE_LIMIT} files) → parallel file uploads (${PARALLEL_FILE_UPLOADS}) → ordered publishing → delete`,
         );
         logger.info(
           `🌊 FLOOD CONTROL: Adaptive learning enabled with ${this.floodWaitHistory.length} historical data points`,
         );
 
         await this.downloadChannel(client, channelId, messageOffsetId);
+        await this.reconcileMirror(client, channelId);
+        if (this.manifest) {
+          const summary = this.manifest.getSummary();
+          logger.info(
+            `📒 Manifest: ${summary.uploaded} uploaded, ${summary.downloaded} downloaded, ${summary.failed} failed, ${summary.pending} pending`,
+          );
+        }
+        if (this.followMode) {
+          // Only returns by throwing, the bot stops a follow job by ending the process
+          await this.followChannel(client, channelId);
+        }
+        emitEvent(EVENT_TYPES.JOB_FINISHED, {
+          channelId,
+          downloaded: this.totalDownloaded,
+          uploaded: this.totalUploaded,
+          processed: this.totalProcessedMessages,
+          failed: this.failedFiles,
+          manifest: this.manifest ? this.manifest.getSummary() : null,
+        });
+
+        // A headless job runs once, there is nobody to ask
+        if (this.job) {
+          logger.info("🎉 Job complete");
+          break;
+        }
 
         // Ask if user wants to continue with another channel
         const continueDownload = await this.askContinue();
@@ -2092,6 +3190,8 @@ class DownloadChannel {
       } catch (err) {
         logger.error("Error in continuous mode:");
         console.error(err);
+        if (this.job) throw err;
+        emitEvent(EVENT_TYPES.JOB_ERROR, { message: err.message });
 
         const retryAfterError = await this.askRetryAfterError();
         if (!retryAfterError) {
@@ -2112,6 +3212,7 @@ class DownloadChannel {
       const { booleanInput } = require("../utils/input-helper");
       return await booleanInput(
         "🔄 Download/Upload another channel? (Yes = Continue, No = Exit)",
+        "continue",
       );
     } catch (error) {
       logger.warn("Failed to get continue input, defaulting to exit");
@@ -2127,6 +3228,7 @@ class DownloadChannel {
       const { booleanInput } = require("../utils/input-helper");
       return await booleanInput(
         "❌ An error occurred. Try again with a different channel? (Yes = Retry, No = Exit)",
+        "retryAfterError",
       );
     } catch (error) {
       logger.warn("Failed to get retry input, defaulting to exit");
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCaptionRules, rewriteCaption, prependText } = require("../utils/caption-rules");
+
+const entity = (className, offset, length, fields = {}) => ({ className, offset, length, ...fields });
+
+/**
+ * Rewrites a caption and returns the text with its entities as
+ * [className, text covered] pairs, which is easier to read than offsets.
+ */
+const rewrite = (rules, text, entities = [], context = { sourceName: "Source" }) => {
+  const message = { id: 42, date: Date.UTC(2024, 2, 31) / 1000, message: text, entities };
+  const caption = rewriteCaption(message, parseCaptionRules(rules), context);
+  return {
+    text: caption.text,
+    entities: caption.entities.map((item) => [item.className, caption.text.slice(item.offset, item.offset + item.length)]),
+  };
+};
+
+test("parses rules separated by semicolons, keeping escaped ones", () => {
+  const rules = parseCaptionRules("strip-urls; replace /a\\;b/i => c; append x");
+  assert.deepEqual(rules.map((rule) => rule.type), ["strip-urls", "replace", "append"]);
+  assert.equal(rules[1].pattern.source, "a;b");
+  assert.equal(rules[1].pattern.flags, "gi");
+});
+
+test("keeps template text after exactly one separator space", () => {
+  const [append] = parseCaptionRules("append  — via {source}");
+  const [prepend] = parseCaptionRules("prepend [MIRROR] ");
+  assert.equal(append.template, " — via {source}");
+  assert.equal(prepend.template, "[MIRROR] ");
+});
+
+test("rejects unknown rules, missing templates and bad patterns", () => {
+  assert.throws(() => parseCaptionRules("shout"), /is not a caption rule/);
+  assert.throws(() => parseCaptionRules("append   "), /needs a text to append/);
+  assert.throws(() => parseCaptionRules("strip-urls now"), /takes no text/);
+  assert.throws(() => parseCaptionRules("replace /(/ => x"), /is not a valid pattern/);
+  assert.throws(() => parseCaptionRules("replace foo"), /is not a replace rule/);
+});
+
+test("returns no rules for an empty rule set", () => {
+  assert.deepEqual(parseCaptionRules(""), []);
+  assert.deepEqual(parseCaptionRules(" ; ;"), []);
+});
+
+test("spaces templates from the caption", () => {
+  assert.equal(rewrite("append — via {source}", "Caption text").text, "Caption text — via Source");
+  assert.equal(rewrite("append  — via {source}", "Caption text").text, "Caption text — via Source");
+  assert.equal(rewrite("prepend [MIRROR]", "Caption text").text, "[MIRROR] Caption text");
+  assert.equal(rewrite("prepend [MIRROR] ", "Caption text").text, "[MIRROR] Caption text");
+  assert.equal(rewrite("append \\n#{id} {date}", "Caption").text, "Caption\n#42 2024-03-31");
+  assert.equal(rewrite("prepend [MIRROR] ", "").text, "[MIRROR]");
+});
+
+test("moves entities along with prepended and appended text", () => {
+  const result = rewrite("prepend >>; append <<", "bold text", [entity("MessageEntityBold", 0, 4)]);
+  assert.equal(result.text, ">> bold text <<");
+  assert.deepEqual(result.entities, [["MessageEntityBold", "bold"]]);
+});
+
+test("replaces every match and keeps entities over the replacement", () => {
+  const result = rewrite("replace /(\\d+)/ => #$1", "Part 1 of 2", [entity("MessageEntityItalic", 5, 6)]);
+  assert.equal(result.text, "Part #1 of #2");
+  assert.deepEqual(result.entities, [["MessageEntityItalic", "#1 of #2"]]);
+});
+
+test("strips urls with their link entities and tidies the gap", () => {
+  const text = "Watch https://example.com/x now, see docs";
+  const result = rewrite("strip-urls", text, [
+    entity("MessageEntityUrl", 6, 21),
+    entity("MessageEntityTextUrl", 33, 8, { url: "https://example.com" }),
+    entity("MessageEntityBold", 0, 5),
+    entity("MessageEntityItalic", 28, 4),
+  ]);
+  assert.equal(result.text, "Watch now, see docs");
+  assert.deepEqual(result.entities, [
+    ["MessageEntityBold", "Watch"],
+    ["MessageEntityItalic", "now,"],
+  ]);
+});
+
+test("strips mentions and hashtags but not e-mail addresses", () => {
+  const result = rewrite("strip-mentions; strip-hashtags", "Hi @somebody mail me@example.com #news #tag");
+  assert.equal(result.text, "Hi mail me@example.com");
+});
+
+test("shrinks entities that covered removed text", () => {
+  const result = rewrite("strip-hashtags", "Big #news today", [entity("MessageEntityBold", 0, 15)]);
+  assert.equal(result.text, "Big today");
+  assert.deepEqual(result.entities, [["MessageEntityBold", "Big today"]]);
+});
+
+test("drops entities whose text was removed entirely", () => {
+  const result = rewrite("replace /secret/ =>", "A secret word", [entity("MessageEntityBold", 2, 6)]);
+  assert.equal(result.text, "A word");
+  assert.deepEqual(result.entities, []);
+});
+
+test("leaves a caption alone without rules", () => {
+  const entities = [entity("MessageEntityBold", 0, 4)];
+  const caption = rewriteCaption({ message: "  Same  ", entities }, []);
+  assert.equal(caption.text, "  Same  ");
+  assert.equal(caption.entities, entities);
+});
+
+test("keeps the class of moved entities", () => {
+  class MessageEntityBold {}
+  const bold = Object.assign(new MessageEntityBold(), { className: "MessageEntityBold", offset: 0, length: 4 });
+  const caption = prependText({ text: "bold", entities: [bold] }, "Re: ");
+  assert.equal(caption.text, "Re: bold");
+  assert.ok(caption.entities[0] instanceof MessageEntityBold);
+  assert.equal(caption.entities[0].offset, 4);
+  assert.equal(bold.offset, 0);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMessageIdRanges, formatMessageIdRanges } = require("../utils/helper");
+
+test("parses single IDs and ranges into sorted unique IDs", () => {
+  assert.deepEqual(parseMessageIdRanges("300, 100-103,102 5"), [5, 100, 101, 102, 103, 300]);
+  assert.deepEqual(parseMessageIdRanges("7-7"), [7]);
+});
+
+test("rejects malformed, reversed and empty lists", () => {
+  assert.throws(() => parseMessageIdRanges("12a"), /"12a" is not a message ID or range/);
+  assert.throws(() => parseMessageIdRanges("10-5"), /"10-5" is not a valid range/);
+  assert.throws(() => parseMessageIdRanges("0"), /"0" is not a valid range/);
+  assert.throws(() => parseMessageIdRanges(" , "), /No message IDs given/);
+});
+
+test("limits how many IDs a list may expand to", () => {
+  assert.throws(() => parseMessageIdRanges("1-100001"), /Too many message IDs/);
+  assert.equal(parseMessageIdRanges("1-100000").length, 100000);
+});
+
+test("formats IDs back into compact ranges", () => {
+  assert.equal(formatMessageIdRanges([300, 100, 101, 102, 5, 101]), "5, 100-102, 300");
+  assert.equal(formatMessageIdRanges([]), "");
+  assert.equal(formatMessageIdRanges(parseMessageIdRanges("100-250, 300")), "100-250, 300");
+});
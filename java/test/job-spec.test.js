@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseJobSpec, parseFileTypes } = require("../utils/job-spec");
+
+test("defaults to a full download of the channel", () => {
+  const job = parseJobSpec({ channel: "@somechannel" });
+  assert.deepEqual(job.channel, { input: "@somechannel", reference: { username: "somechannel", messageId: null } });
+  assert.equal(job.mode, "full");
+  assert.deepEqual(job.downloadableFiles, { all: true });
+  assert.deepEqual(job.targets, []);
+  assert.equal(job.transfer, "reupload");
+});
+
+test("starts a toEnd job at a linked message", () => {
+  const job = parseJobSpec({ channel: "https://t.me/somechannel/120" });
+  assert.equal(job.mode, "toEnd");
+  assert.equal(job.from, 120);
+});
+
+test("takes a specific job from --ids", () => {
+  const job = parseJobSpec({ channel: "@somechannel", ids: "100-102,7" });
+  assert.equal(job.mode, "specific");
+  assert.deepEqual(job.ids, [7, 100, 101, 102]);
+});
+
+test("reports every mistake at once", () => {
+  assert.throws(
+    () => parseJobSpec({ mode: "sometimes", types: "movies", captionRules: "strip-urls" }),
+    (error) => {
+      assert.match(error.message, /--channel: the source channel is required/);
+      assert.match(error.message, /--mode: "sometimes" is not one of/);
+      assert.match(error.message, /--types: "movies" is not one of/);
+      assert.match(error.message, /--captionRules: only used when mirroring to a --target/);
+      return true;
+    },
+  );
+});
+
+test("rejects option combinations that cannot work", () => {
+  assert.throws(() => parseJobSpec({ channel: "@somechannel", target: "@somechannel" }), /the source cannot be a target/);
+  assert.throws(() => parseJobSpec({ channel: "@somechannel", from: 5, ids: "1" }), /--from: only used by toEnd jobs/);
+  assert.throws(
+    () => parseJobSpec({ channel: "@somechannel", target: "@mirror", transfer: "auto", captionRules: "strip-urls" }),
+    /auto cannot be used/,
+  );
+  assert.throws(() => parseJobSpec({ channel: "@somechannel", ids: "1", follow: "yes" }), /a specific job has nothing new to follow/);
+});
+
+test("keeps caption rules as given, trailing spaces included", () => {
+  const job = parseJobSpec({ channel: "@somechannel", target: "@mirror", captionRules: "prepend [{id}] " });
+  assert.equal(job.captionRules, "prepend [{id}] ");
+});
+
+test("reads a job spec file, letting flags win", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-spec-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "job.json");
+  fs.writeFileSync(file, JSON.stringify({ channel: "@somechannel", target: ["@one", "@two"], filters: { minSize: "1MB" } }));
+
+  const job = parseJobSpec({ job: file, target: "@three" });
+  assert.deepEqual(job.targets.map((target) => target.input), ["@three"]);
+  assert.equal(job.filters.minSize, "1MB");
+
+  fs.writeFileSync(file, JSON.stringify({ channel: "@somechannel", colour: "blue" }));
+  assert.throws(() => parseJobSpec({ job: file }), /Unknown job spec keys: colour/);
+});
+
+test("parses --types into the downloader's file map", () => {
+  assert.deepEqual(parseFileTypes("video, .MKV,pdf"), { video: true, mkv: true, pdf: true });
+  assert.throws(() => parseFileTypes(""), /no types given/);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseChatLink } = require("../utils/link-parser");
+
+test("parses public links with and without a message", () => {
+  assert.deepEqual(parseChatLink("https://t.me/somechannel/1234"), { username: "somechannel", messageId: 1234 });
+  assert.deepEqual(parseChatLink("t.me/s/somechannel/55?single"), { username: "somechannel", messageId: 55 });
+  assert.deepEqual(parseChatLink("telegram.me/somechannel"), { username: "somechannel", messageId: null });
+});
+
+test("maps private links to the marked channel ID", () => {
+  assert.deepEqual(parseChatLink("https://t.me/c/123456/789"), { channelId: "-100123456", messageId: 789 });
+  // Forum topic links put the topic before the message
+  assert.deepEqual(parseChatLink("https://t.me/c/123456/3/789/"), { channelId: "-100123456", messageId: 789 });
+});
+
+test("parses tg:// links", () => {
+  assert.deepEqual(parseChatLink("tg://resolve?domain=somechannel&post=12"), { username: "somechannel", messageId: 12 });
+  assert.deepEqual(parseChatLink("tg://privatepost?channel=123456&post=7"), { channelId: "-100123456", messageId: 7 });
+});
+
+test("parses usernames and chat IDs", () => {
+  assert.deepEqual(parseChatLink(" @somechannel "), { username: "somechannel", messageId: null });
+  assert.deepEqual(parseChatLink("-1001234567890"), { channelId: "-1001234567890", messageId: null });
+});
+
+test("rejects what is not a chat reference", () => {
+  assert.equal(parseChatLink("https://t.me/joinchat/abcdef"), null);
+  assert.equal(parseChatLink("https://example.com/somechannel"), null);
+  assert.equal(parseChatLink("@abc"), null);
+  assert.equal(parseChatLink(""), null);
+  assert.equal(parseChatLink(42), null);
+});
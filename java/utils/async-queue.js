@@ -0,0 +1,93 @@
+/**
+ * First-in first-out queue between async producers and consumers. With a
+ * limit, push() waits while the queue is full, so a fast producer cannot run
+ * arbitrarily far ahead of a slow consumer.
+ */
+class AsyncQueue {
+  /**
+   * @param {number} [limit=Infinity] - Most items the queue holds at once.
+   */
+  constructor(limit = Infinity) {
+    this.limit = limit;
+    this.items = [];
+    this.closed = false;
+    // Why the consumer gave up, see fail()
+    this.error = null;
+    this.waitingProducers = [];
+    this.waitingConsumers = [];
+  }
+
+  /**
+   * Number of items waiting to be taken.
+   * @returns {number} The queue length.
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Adds an item, waiting for space when the queue is full.
+   * @param {*} item - The item.
+   * @returns {Promise<void>} Resolves once the item is queued.
+   */
+  async push(item) {
+    while (this.items.length >= this.limit && !this.closed) {
+      await new Promise((resolve) => this.waitingProducers.push(resolve));
+    }
+    if (this.error) {
+      throw this.error;
+    }
+    if (this.closed) {
+      throw new Error("Queue is closed");
+    }
+
+    this.items.push(item);
+    this.wake(this.waitingConsumers);
+  }
+
+  /**
+   * Takes the oldest item, waiting for one when the queue is empty.
+   * @returns {Promise<*>} The item, or null once the queue is closed and drained.
+   */
+  async shift() {
+    while (this.items.length === 0 && !this.closed) {
+      await new Promise((resolve) => this.waitingConsumers.push(resolve));
+    }
+    if (this.items.length === 0) return null;
+
+    const item = this.items.shift();
+    this.wake(this.waitingProducers);
+    return item;
+  }
+
+  /**
+   * Marks the end of the input. Consumers drain what is left, then get null.
+   */
+  close() {
+    this.closed = true;
+    this.wake(this.waitingProducers, true);
+    this.wake(this.waitingConsumers, true);
+  }
+
+  /**
+   * Closes the queue because the consumer failed. Producers waiting for
+   * space, and every later push(), are rejected with the error.
+   * @param {Error} error - Why the consumer stopped.
+   */
+  fail(error) {
+    this.error = error;
+    this.close();
+  }
+
+  /**
+   * Resumes one waiter, or all of them.
+   * @param {Array<Function>} waiters - Pending resolvers.
+   * @param {boolean} [all=false] - Whether to wake every waiter.
+   */
+  wake(waiters, all = false) {
+    const woken = all ? waiters.splice(0) : waiters.splice(0, 1);
+    woken.forEach((resolve) => resolve());
+  }
+}
+
+module.exports = AsyncQueue;
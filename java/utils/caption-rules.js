@@ -0,0 +1,379 @@
+// Caption rewriting for mirrored posts. A rule set is kept as the single
+// line the user typed (rules separated by ";") so it can be reported to the
+// bot and replayed on resume; parseCaptionRules turns it into rules and
+// rewriteCaption applies them in order. Every edit moves the formatting
+// entities along with the text, so bold, links etc. stay on the same words.
+
+// Rules in the order they are documented, with the syntax shown to the user
+const CAPTION_RULES = [
+  { type: "replace", syntax: "replace /regex/flags => text", description: "replace every match (text may be empty)" },
+  { type: "strip-urls", syntax: "strip-urls", description: "remove links and hidden link targets" },
+  { type: "strip-mentions", syntax: "strip-mentions", description: "remove @mentions and user links" },
+  { type: "strip-hashtags", syntax: "strip-hashtags", description: "remove #hashtags" },
+  { type: "prepend", syntax: "prepend text", description: "add text before the caption, spaced unless it ends in a space or \\n" },
+  { type: "append", syntax: "append text", description: "add text after the caption, spaced unless it starts with a space or \\n" },
+];
+
+// Placeholders of prepend/append templates
+const PLACEHOLDERS = ["{date}", "{source}", "{id}"];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.|t\.me\/)[^\s<>"]+/gi;
+const MENTION_PATTERN = /(^|[^\w@])(@[a-zA-Z][a-zA-Z0-9_]{3,31})\b/g;
+const HASHTAG_PATTERN = /(^|[^\w#])(#[\p{L}\p{N}_]+)/gu;
+
+// Entities whose text is the link or mention itself, removed along with it
+const URL_TEXT_ENTITIES = ["MessageEntityUrl"];
+const MENTION_TEXT_ENTITIES = ["MessageEntityMention"];
+// Entities linking ordinary text somewhere, removed while the text stays
+const URL_LINK_ENTITIES = ["MessageEntityTextUrl"];
+const MENTION_LINK_ENTITIES = ["MessageEntityMentionName", "InputMessageEntityMentionName"];
+
+/**
+ * Splits a rule set on ";", keeping "\;" as a literal semicolon. Trailing
+ * whitespace is kept, it may belong to a prepend template.
+ * @param {string} value - The rule set.
+ * @returns {Array<string>} The rules, without leading whitespace and empty ones.
+ */
+const splitRules = (value) =>
+  String(value)
+    .split(/(?<!\\);/)
+    .map((rule) => rule.replace(/\\;/g, ";").trimStart())
+    .filter((rule) => rule.trim());
+
+/**
+ * Turns "\n" in a template or replacement into a line break.
+ * @param {string} value - The text as typed.
+ * @returns {string} The text.
+ */
+const unescapeText = (value) => value.replace(/\\n/g, "\n");
+
+/**
+ * Parses a single rule. A template is everything after the one space
+ * following the rule name, so "append  — {source}" keeps its leading space.
+ * @param {string} text - e.g. "strip-urls" or "append \n— {source}".
+ * @returns {Object} { type, pattern, replacement } or { type, template }.
+ */
+const parseRule = (text) => {
+  const [, name, rest = ""] = text.match(/^([a-z-]+)(?:\s([\s\S]*))?$/i) || [];
+  const type = (name || "").toLowerCase();
+
+  switch (type) {
+    case "strip-urls":
+    case "strip-mentions":
+    case "strip-hashtags":
+      if (rest.trim()) throw new Error(`"${text.trim()}" takes no text`);
+      return { type };
+    case "prepend":
+    case "append":
+      if (!rest.trim()) throw new Error(`"${text.trim()}" needs a text to ${type}`);
+      return { type, template: unescapeText(rest) };
+    case "replace": {
+      const match = rest.trim().match(/^\/(.+)\/([a-z]*)\s*=>\s?([\s\S]*)$/);
+      if (!match) {
+        throw new Error(`"${text}" is not a replace rule (use replace /regex/flags => text)`);
+      }
+      const flags = match[2].includes("g") ? match[2] : `${match[2]}g`;
+      try {
+        return { type, pattern: new RegExp(match[1], flags), replacement: unescapeText(match[3]) };
+      } catch (error) {
+        throw new Error(`"${match[1]}" is not a valid pattern: ${error.message}`);
+      }
+    }
+    default:
+      throw new Error(
+        `"${text.trim()}" is not a caption rule (use ${CAPTION_RULES.map((rule) => rule.type).join(", ")})`,
+      );
+  }
+};
+
+/**
+ * Parses a rule set, throwing a readable error for the first invalid rule.
+ * @param {string|null} value - Rules separated by ";".
+ * @returns {Array<Object>} The rules in order, empty when none are given.
+ */
+const parseCaptionRules = (value) => {
+  if (!value || value === true) return [];
+  return splitRules(value).map(parseRule);
+};
+
+/**
+ * Copies an entity with a new position, keeping its type and fields.
+ * @param {Object} entity - A MessageEntity.
+ * @param {number} offset - New offset.
+ * @param {number} length - New length.
+ * @returns {Object} The moved entity.
+ */
+const moveEntity = (entity, offset, length) =>
+  Object.assign(Object.create(Object.getPrototypeOf(entity)), entity, { offset, length });
+
+/**
+ * Maps a position in the old text to the new text. An entity keeps covering
+ * text that replaced text it covered; a start inside removed text moves past
+ * the replacement and an end inside it moves before, so entities only lose
+ * the characters that were removed.
+ * @param {number} position - Position in the old text.
+ * @param {Array<Object>} edits - Applied edits, ascending, with their new start.
+ * @param {boolean} isStart - Whether it is the start of an entity.
+ * @returns {number} Position in the new text.
+ */
+const mapPosition = (position, edits, isStart) => {
+  let shift = 0;
+  for (const edit of edits) {
+    const removes = edit.end > edit.start;
+    if (position < edit.start || (position === edit.start && (removes || !isStart))) {
+      return position + shift;
+    }
+    if (position < edit.end) {
+      return isStart ? edit.newStart + edit.text.length : edit.newStart;
+    }
+    shift += edit.text.length - (edit.end - edit.start);
+  }
+  return position + shift;
+};
+
+/**
+ * Applies non-overlapping edits to a caption in one pass.
+ * @param {Object} caption - { text, entities }.
+ * @param {Array<Object>} edits - { start, end, text } in old-text positions.
+ * @param {Function} [dropEntity] - Returns true for entities to remove.
+ * @returns {Object} The new { text, entities }.
+ */
+const applyEdits = (caption, edits, dropEntity = () => false) => {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  const applied = [];
+  let text = "";
+  let last = 0;
+
+  for (const edit of sorted) {
+    if (edit.start < last) continue; // Overlaps an earlier edit
+    text += caption.text.slice(last, edit.start);
+    applied.push({ ...edit, newStart: text.length });
+    text += edit.text;
+    last = edit.end;
+  }
+  text += caption.text.slice(last);
+
+  const entities = caption.entities
+    .filter((entity) => !dropEntity(entity))
+    .map((entity) => {
+      const start = mapPosition(entity.offset, applied, true);
+      const end = mapPosition(entity.offset + entity.length, applied, false);
+      return end > start ? moveEntity(entity, start, end - start) : null;
+    })
+    .filter(Boolean);
+
+  return { text, entities };
+};
+
+/**
+ * Lists the ranges a pattern matches, optionally only one capture group.
+ * @param {string} text - The text.
+ * @param {RegExp} pattern - A global pattern.
+ * @param {number} [group=0] - The capture group that is the match proper.
+ * @returns {Array<Object>} { start, end, match } ranges.
+ */
+const findMatches = (text, pattern, group = 0) => {
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    if (match[0].length === 0) continue;
+    const start = match.index + match[0].indexOf(match[group]);
+    ranges.push({ start, end: start + match[group].length, match });
+  }
+  return ranges;
+};
+
+/**
+ * Lists the ranges covered by entities of the given types.
+ * @param {Array<Object>} entities - The entities.
+ * @param {Array<string>} types - Entity class names.
+ * @returns {Array<Object>} { start, end } ranges.
+ */
+const findEntityRanges = (entities, types) =>
+  entities
+    .filter((entity) => types.includes(entity.className))
+    .map((entity) => ({ start: entity.offset, end: entity.offset + entity.length }));
+
+/**
+ * Expands $&, $1 and $<name> in a replacement for one match, like
+ * String.prototype.replace does.
+ * @param {string} replacement - The replacement as typed.
+ * @param {Array} match - A match from matchAll.
+ * @returns {string} The text to put in place of the match.
+ */
+const expandReplacement = (replacement, match) =>
+  replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+    if (ref === "$") return "$";
+    if (ref === "&") return match[0];
+    if (name !== undefined) return (match.groups && match.groups[name]) || "";
+    return match[Number(ref)] !== undefined ? match[Number(ref)] : token;
+  });
+
+/**
+ * Merges overlapping ranges into removal edits.
+ * @param {Array<Object>} ranges - { start, end } ranges.
+ * @returns {Array<Object>} { start, end, text: "" } edits, ascending.
+ */
+const toRemovals = (ranges) =>
+  ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const previous = merged[merged.length - 1];
+      if (previous && range.start <= previous.end) {
+        previous.end = Math.max(previous.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end, text: "" });
+      }
+      return merged;
+    }, []);
+
+/**
+ * Fills the placeholders of a template.
+ * @param {string} template - Text with {date}, {source} and {id}.
+ * @param {Object} context - { message, sourceName }.
+ * @returns {string} The text.
+ */
+const fillTemplate = (template, { message, sourceName }) =>
+  template
+    .replace(/\{date\}/g, message.date ? new Date(message.date * 1000).toISOString().slice(0, 10) : "")
+    .replace(/\{source\}/g, sourceName || "")
+    .replace(/\{id\}/g, String(message.id));
+
+/**
+ * Adds a filled template before or after a caption. A space separates them
+ * unless either side already has whitespace there; with no caption the
+ * template's whitespace on that side is dropped.
+ * @param {Object} caption - { text, entities }.
+ * @param {string} template - The filled template.
+ * @param {boolean} atEnd - Append instead of prepend.
+ * @returns {Object} The new { text, entities }.
+ */
+const joinTemplate = (caption, template, atEnd) => {
+  const { text } = caption;
+  let added = template;
+  if (!text) {
+    added = atEnd ? template.trimStart() : template.trimEnd();
+  } else if (atEnd && !/\s$/.test(text) && !/^\s/.test(template)) {
+    added = ` ${template}`;
+  } else if (!atEnd && !/^\s/.test(text) && !/\s$/.test(template)) {
+    added = `${template} `;
+  }
+
+  const position = atEnd ? text.length : 0;
+  return applyEdits(caption, [{ start: position, end: position, text: added }]);
+};
+
+/**
+ * Applies one rule to a caption.
+ * @param {Object} caption - { text, entities }.
+ * @param {Object} rule - A parsed rule.
+ * @param {Object} context - { message, sourceName }.
+ * @returns {Object} The new { text, entities }.
+ */
+const applyRule = (caption, rule, context) => {
+  const { text, entities } = caption;
+
+  switch (rule.type) {
+    case "replace":
+      return applyEdits(
+        caption,
+        findMatches(text, rule.pattern).map(({ start, end, match }) => ({
+          start,
+          end,
+          text: expandReplacement(rule.replacement, match),
+        })),
+      );
+    case "strip-urls":
+      return applyEdits(
+        caption,
+        toRemovals([...findMatches(text, URL_PATTERN), ...findEntityRanges(entities, URL_TEXT_ENTITIES)]),
+        (entity) => [...URL_TEXT_ENTITIES, ...URL_LINK_ENTITIES].includes(entity.className),
+      );
+    case "strip-mentions":
+      return applyEdits(
+        caption,
+        toRemovals([...findMatches(text, MENTION_PATTERN, 2), ...findEntityRanges(entities, MENTION_TEXT_ENTITIES)]),
+        (entity) => [...MENTION_TEXT_ENTITIES, ...MENTION_LINK_ENTITIES].includes(entity.className),
+      );
+    case "strip-hashtags":
+      return applyEdits(
+        caption,
+        toRemovals(findMatches(text, HASHTAG_PATTERN, 2)),
+        (entity) => entity.className === "MessageEntityHashtag",
+      );
+    case "prepend":
+      return joinTemplate(caption, fillTemplate(rule.template, context), false);
+    case "append":
+      return joinTemplate(caption, fillTemplate(rule.template, context), true);
+    default:
+      return caption;
+  }
+};
+
+/**
+ * Removes the whitespace that removed text leaves behind: repeated spaces,
+ * spaces at line ends, more than one empty line, and leading or trailing
+ * whitespace.
+ * @param {Object} caption - { text, entities }.
+ * @returns {Object} The new { text, entities }.
+ */
+const tidyWhitespace = (caption) => {
+  const removeAll = (pattern, text) => (current) =>
+    applyEdits(
+      current,
+      findMatches(current.text, pattern).map(({ start, end }) => ({ start, end, text })),
+    );
+
+  // Each pass sees the result of the previous one, so their edits never overlap
+  return [
+    removeAll(/[ \t]+(?=\n|$)/g, ""),
+    removeAll(/(?<=\S)[ \t]{2,}/g, " "),
+    removeAll(/\n{3,}/g, "\n\n"),
+    removeAll(/^\s+|\s+$/g, ""),
+  ].reduce((current, pass) => pass(current), caption);
+};
+
+/**
+ * Rewrites the caption of a message with a rule set, applying the rules in
+ * order.
+ * @param {Object} message - The source message.
+ * @param {Array<Object>} rules - Rules from parseCaptionRules.
+ * @param {Object} [context={}] - { sourceName } for the {source} placeholder.
+ * @returns {Object} { text, entities } to post instead of the original.
+ */
+const rewriteCaption = (message, rules, context = {}) => {
+  const caption = { text: message.message || "", entities: message.entities || [] };
+  if (!rules || rules.length === 0) return caption;
+
+  const templateContext = { ...context, message };
+  const rewritten = rules.reduce((current, rule) => applyRule(current, rule, templateContext), caption);
+  return rules.some((rule) => rule.type !== "prepend" && rule.type !== "append")
+    ? tidyWhitespace(rewritten)
+    : rewritten;
+};
+
+/**
+ * Adds text in front of a caption, moving its entities along.
+ * @param {Object} caption - { text, entities }.
+ * @param {string} text - Text to add.
+ * @returns {Object} The new { text, entities }.
+ */
+const prependText = (caption, text) => applyEdits(caption, [{ start: 0, end: 0, text }]);
+
+/**
+ * Describes a rule set for logs and chat messages.
+ * @param {string|null} value - Rules separated by ";".
+ * @returns {string} One rule per line, or "none".
+ */
+const describeCaptionRules = (value) => {
+  const rules = value ? splitRules(value) : [];
+  return rules.length > 0 ? rules.map((rule) => `• ${rule}`).join("\n") : "none";
+};
+
+module.exports = {
+  CAPTION_RULES,
+  PLACEHOLDERS,
+  parseCaptionRules,
+  rewriteCaption,
+  prependText,
+  describeCaptionRules,
+};
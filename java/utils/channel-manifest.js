@@ -0,0 +1,291 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+const { getWorkspaceDir } = require("./helper");
+
+const MANIFEST_VERSION = 1;
+const SAVE_DELAY_MS = 1000;
+
+// Status of a message in the manifest
+const MESSAGE_STATUS = {
+  PENDING: "pending",
+  DOWNLOADED: "downloaded",
+  UPLOADED: "uploaded",
+  FAILED: "failed",
+  DELETED: "deleted",
+};
+
+/**
+ * Computes the SHA-256 hash of a file without loading it into memory.
+ * @param {string} filePath - The file.
+ * @returns {Promise<string>} The hex digest.
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+/**
+ * Per-channel record of what happened to every message, stored next to the
+ * channel's export as manifest.json. Re-running a channel consults it to
+ * skip finished messages and retry failed ones, independent of which other
+ * channels were processed in between.
+ */
+class ChannelManifest {
+  /**
+   * @param {string|number} channelId - The source channel.
+   * @param {string} [folder] - Export folder of the channel, defaults to export/<channelId> in the workspace.
+   */
+  constructor(channelId, folder = null) {
+    this.channelId = String(channelId);
+    this.filePath = path.join(
+      folder || path.join(getWorkspaceDir(), "export", this.channelId),
+      "manifest.json",
+    );
+    this.messages = {};
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Loads the manifest from disk, starting empty if it is missing or unreadable.
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        this.messages = data.messages || {};
+      }
+    } catch (error) {
+      logger.warn(`Could not read manifest ${this.filePath}: ${error.message}`);
+      this.messages = {};
+    }
+  }
+
+  /**
+   * Writes the manifest. The file is replaced atomically so a crash never
+   * leaves a truncated manifest behind.
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const data = {
+        version: MANIFEST_VERSION,
+        channelId: this.channelId,
+        updatedAt: new Date().toISOString(),
+        messages: this.messages,
+      };
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.warn(`Could not write manifest ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Coalesces bursts of updates into a single write.
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Gets the entry of a message.
+   * @param {number} messageId - The message.
+   * @returns {Object|null} The entry, or null if the message was never seen.
+   */
+  get(messageId) {
+    return this.messages[messageId] || null;
+  }
+
+  /**
+   * Replaces the fields of a message entry and schedules a save.
+   * @param {number} messageId - The message.
+   * @param {Object} fields - Fields to set.
+   */
+  update(messageId, fields) {
+    this.messages[messageId] = {
+      ...this.messages[messageId],
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    this.scheduleSave();
+  }
+
+  /**
+   * Checks whether a message was posted to a target channel.
+   * @param {number} messageId - The message.
+   * @param {string|number} targetChannelId - The target channel.
+   * @returns {boolean} True when the target has it.
+   */
+  isUploadedTo(messageId, targetChannelId) {
+    const entry = this.get(messageId);
+    if (!entry) return false;
+
+    const target = entry.targets && entry.targets[targetChannelId];
+    if (target) return target.status === MESSAGE_STATUS.UPLOADED;
+
+    // Entries written before jobs could have several targets
+    return (
+      entry.status === MESSAGE_STATUS.UPLOADED &&
+      String(entry.targetChannelId) === String(targetChannelId)
+    );
+  }
+
+  /**
+   * Checks whether a message needs no more work.
+   * @param {number} messageId - The message.
+   * @param {string|number|Array|null} targetChannelIds - Upload target(s), or null when only downloading.
+   * @returns {boolean} True when it was uploaded to every target, or
+   * (download only) downloaded and its file is still on disk.
+   */
+  isDone(messageId, targetChannelIds = null) {
+    const entry = this.get(messageId);
+    if (!entry) return false;
+
+    const targets = [].concat(targetChannelIds || []);
+    if (targets.length > 0) {
+      return targets.every((targetChannelId) => this.isUploadedTo(messageId, targetChannelId));
+    }
+
+    if (entry.status !== MESSAGE_STATUS.DOWNLOADED) return false;
+    if (!entry.fileName) return true;
+
+    const filePath = path.join(path.dirname(this.filePath), entry.fileName);
+    return fs.existsSync(filePath) && fs.statSync(filePath).size === entry.size;
+  }
+
+  /**
+   * Records messages that are about to be processed. Messages already in the
+   * manifest keep their entry (and failure reason) until they succeed.
+   * @param {Array<number>} messageIds - The messages.
+   */
+  markPending(messageIds) {
+    const now = new Date().toISOString();
+    messageIds.forEach((messageId) => {
+      if (!this.messages[messageId]) {
+        this.messages[messageId] = { status: MESSAGE_STATUS.PENDING, updatedAt: now };
+      }
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Records a downloaded message with the size and hash of its file.
+   * @param {number} messageId - The message.
+   * @param {string|null} mediaPath - The downloaded file, null for text messages.
+   */
+  async markDownloaded(messageId, mediaPath = null) {
+    const fields = { status: MESSAGE_STATUS.DOWNLOADED, reason: null, stage: null };
+
+    if (mediaPath && fs.existsSync(mediaPath)) {
+      fields.fileName = path.relative(path.dirname(this.filePath), mediaPath);
+      fields.size = fs.statSync(mediaPath).size;
+      try {
+        fields.hash = await hashFile(mediaPath);
+      } catch (error) {
+        logger.warn(`Could not hash ${mediaPath}: ${error.message}`);
+      }
+    }
+
+    this.update(messageId, fields);
+  }
+
+  /**
+   * Records a message posted to a target channel. The message counts as
+   * uploaded unless another target still has it failed. Written on a timer,
+   * the downloader saves the manifest at the end of every batch.
+   * @param {number} messageId - The source message.
+   * @param {string|number} targetChannelId - The target channel.
+   * @param {number|null} targetMessageId - ID of the message posted in the target.
+   * @param {string} [transferPath] - How it got there, "forward" or "reupload".
+   */
+  markUploaded(messageId, targetChannelId, targetMessageId, transferPath = null) {
+    const entry = this.get(messageId) || {};
+    const targets = {
+      ...entry.targets,
+      [targetChannelId]: {
+        status: MESSAGE_STATUS.UPLOADED,
+        targetMessageId: targetMessageId || null,
+        transferPath,
+      },
+    };
+    const failed = Object.values(targets).some((target) => target.status === MESSAGE_STATUS.FAILED);
+
+    this.update(messageId, {
+      status: failed ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.UPLOADED,
+      targets,
+      ...(failed ? {} : { reason: null, stage: null }),
+    });
+  }
+
+  /**
+   * Records a message that failed for good in this run.
+   * @param {number} messageId - The message.
+   * @param {string} stage - "download" or "upload".
+   * @param {string} reason - Why it failed.
+   * @param {string|number} [targetChannelId] - The target an upload failed for.
+   */
+  markFailed(messageId, stage, reason, targetChannelId = null) {
+    const entry = this.get(messageId) || {};
+    const fields = {
+      status: MESSAGE_STATUS.FAILED,
+      stage,
+      reason,
+      attempts: (entry.attempts || 0) + 1,
+    };
+
+    if (targetChannelId) {
+      const target = (entry.targets && entry.targets[targetChannelId]) || {};
+      fields.targets = {
+        ...entry.targets,
+        [targetChannelId]: {
+          status: MESSAGE_STATUS.FAILED,
+          reason,
+          attempts: (target.attempts || 0) + 1,
+        },
+      };
+    }
+
+    this.update(messageId, fields);
+  }
+
+  /**
+   * Records a message that was deleted from the source, along with its
+   * mirrored copy.
+   * @param {number} messageId - The message.
+   */
+  markDeleted(messageId) {
+    if (!this.get(messageId)) return;
+    this.update(messageId, { status: MESSAGE_STATUS.DELETED, reason: null, stage: null });
+  }
+
+  /**
+   * Counts the messages in each status.
+   * @returns {Object} { pending, downloaded, uploaded, failed, deleted }.
+   */
+  getSummary() {
+    const summary = { pending: 0, downloaded: 0, uploaded: 0, failed: 0, deleted: 0 };
+    Object.values(this.messages).forEach((entry) => {
+      summary[entry.status] = (summary[entry.status] || 0) + 1;
+    });
+    return summary;
+  }
+}
+
+module.exports = {
+  ChannelManifest,
+  MESSAGE_STATUS,
+};
@@ -1,11 +1,11 @@
 const fs = require("fs");
 const path = require("path");
-const { logMessage } = require("./helper");
+const { logMessage, getWorkspaceDir } = require("./helper");
 
-const CONFIG_FILE = path.join(__dirname, "../config.json");
+const CONFIG_FILE = path.join(getWorkspaceDir(), "config.json");
 const LAST_SELECTION_FILE = path.join(
-  __dirname,
-  "../export/last_selection.json"
+  getWorkspaceDir(),
+  "export/last_selection.json"
 );
 
 /**
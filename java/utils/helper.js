@@ -102,6 +102,34 @@ const getMediaType = (message) => {
   }
 };
 
+/**
+ * Gets the size of the file a download of the message produces. Photos are
+ * downloaded in their largest size (the animated version if there is one),
+ * the same one the client picks.
+ * @param {Object} message - The message.
+ * @returns {number} Size in bytes, 0 if unknown.
+ */
+const getMediaSize = (message) => {
+  const media = message && message.media;
+  if (!media) return 0;
+  if (media.document) return Number(media.document.size) || 0;
+  if (!media.photo) return 0;
+
+  const sizes = [...(media.photo.sizes || []), ...(media.photo.videoSizes || [])].map((size) => {
+    switch (size.className) {
+      case "PhotoSize":
+      case "VideoSize":
+        return Number(size.size) || 0;
+      case "PhotoSizeProgressive":
+        return Math.max(0, ...size.sizes);
+      default:
+        // Inline thumbnails are expanded on download, their size is not known
+        return 0;
+    }
+  });
+  return Math.max(0, ...sizes);
+};
+
 // Check if a file already exists (improved for collision handling) 
 const checkFileExist = (message, outputFolder) => {
   if (!message || !message.media) return false;
@@ -157,7 +185,10 @@ const getMediaPath = (message, outputFolder) => {
   const baseName = path.basename(fileName, ext);
   const uniqueFileName = `${baseName}_${message.id}${ext}`;
 
-  const finalPath = path.join(outputFolder, folderType, uniqueFileName);
+  // Items of an album share a folder named after the album
+  const finalPath = message.groupedId
+    ? path.join(outputFolder, folderType, String(message.groupedId), uniqueFileName)
+    : path.join(outputFolder, folderType, uniqueFileName);
 
   // Ensure directory exists
   if (!fs.existsSync(path.dirname(finalPath))) {
@@ -249,11 +280,17 @@ const cleanupFile = (filePath) => {
   }
 };
 
+// Get the workspace directory holding config, session, exports and temp files.
+// The bot gives every user their own through WORKSPACE_DIR; standalone runs
+// use the downloader directory itself.
+const getWorkspaceDir = () =>
+  path.resolve(process.env.WORKSPACE_DIR || path.join(__dirname, ".."));
+
 // Get a temporary media path for downloading files
 const getTempMediaPath = (message) => {
   const folderType = filterString(getMediaType(message));
   const fileName = `${message.id}_temp_file`;
-  const tempDir = path.join(__dirname, 'temp', folderType);
+  const tempDir = path.join(getWorkspaceDir(), "temp", folderType);
 
   if (!fs.existsSync(tempDir)) {
     fs.mkdirSync(tempDir, { recursive: true });
@@ -262,8 +299,66 @@ const getTempMediaPath = (message) => {
   return path.join(tempDir, fileName);
 };
 
+// Upper bound on how many IDs a single message ID list may expand to
+const MAX_MESSAGE_IDS = 100000;
+
+// Parse a message ID list like "100-250, 300, 410-415" into sorted unique IDs.
+// Throws with a readable message on anything it cannot parse.
+const parseMessageIdRanges = (input) => {
+  const ids = new Set();
+  const parts = String(input || "")
+    .split(/[,\s]+/)
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`"${part}" is not a message ID or range`);
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`"${part}" is not a valid range`);
+    }
+    if (ids.size + (end - start + 1) > MAX_MESSAGE_IDS) {
+      throw new Error(`Too many message IDs (limit ${MAX_MESSAGE_IDS})`);
+    }
+
+    for (let id = start; id <= end; id++) {
+      ids.add(id);
+    }
+  }
+
+  if (ids.size === 0) {
+    throw new Error("No message IDs given");
+  }
+  return [...ids].sort((a, b) => a - b);
+};
+
+// Format message IDs back into a compact list like "100-250, 300"
+const formatMessageIdRanges = (ids) => {
+  const sorted = [...new Set(ids)].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const id of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  }
+
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(", ");
+};
+
 module.exports = {
+  MEDIA_TYPES,
   getMediaType,
+  getMediaSize,
   getDialogType,
   logMessage,
   circularStringify,
@@ -274,4 +369,7 @@ module.exports = {
   filterString,
   cleanupFile,
   getTempMediaPath,
+  getWorkspaceDir,
+  parseMessageIdRanges,
+  formatMessageIdRanges,
 };
\ No newline at end of file
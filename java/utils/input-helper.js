@@ -1,5 +1,36 @@
-const inquirer = require("inquirer");
 const { MEDIA_TYPES } = require("./helper");
+const { createDefaultProvider } = require("./prompt-providers");
+
+// Answers every prompt, picked on first use unless set beforehand
+let promptProvider = null;
+
+/**
+ * Replaces the prompt provider, e.g. with a scripted one for automation.
+ * @param {Object} provider - An object with prompt(question, promptName).
+ */
+const setPromptProvider = (provider) => {
+  promptProvider = provider;
+};
+
+/**
+ * Gets the prompt provider, picking the default for this process on first use.
+ * @returns {Object} The provider.
+ */
+const getPromptProvider = () => {
+  if (!promptProvider) promptProvider = createDefaultProvider();
+  return promptProvider;
+};
+
+/**
+ * Asks a question through the prompt provider.
+ * @param {Object} question - The inquirer question.
+ * @param {string} [promptName] - Stable identifier of the prompt, defaults to the question name.
+ * @returns {Promise<Object>} The answers, keyed by question name like inquirer's.
+ */
+const ask = async (question, promptName) => {
+  const answer = await getPromptProvider().prompt(question, promptName || question.name);
+  return { [question.name]: answer };
+};
 
 /**
  * Prompts the user to enter their mobile number with country code.
@@ -16,7 +47,7 @@ const mobileNumberInput = async () => {
     },
   };
 
-  const { phoneNumber } = await inquirer.prompt(question);
+  const { phoneNumber } = await ask(question);
   return phoneNumber;
 };
 
@@ -35,23 +66,42 @@ const otpInput = async () => {
     },
   };
 
-  const { otp } = await inquirer.prompt(question);
+  const { otp } = await ask(question);
   return otp;
 };
 
+/**
+ * Prompts the user to enter their two-step verification password.
+ * @param {string} [hint] - The password hint set on the account.
+ * @returns {Promise<string>} The entered password.
+ */
+const passwordInput = async (hint) => {
+  const question = {
+    type: "password",
+    name: "password",
+    mask: "*",
+    message: hint ? `Enter your 2FA password (hint: ${hint}):` : "Enter your 2FA password:",
+    validate: (input) => (input && input.length > 0 ? true : "Password cannot be empty."),
+  };
+
+  const { password } = await ask(question);
+  return password;
+};
+
 /**
  * Prompts the user to enter a text input.
  * @param {string} [message="Please Enter"] - The message to display.
+ * @param {string} [promptName="text"] - Stable identifier reported with the prompt event.
  * @returns {Promise<string>} The entered text.
  */
-const textInput = async (message = "Please Enter") => {
+const textInput = async (message = "Please Enter", promptName = "text") => {
   const question = {
     type: "input",
     name: "text",
     message: message,
   };
 
-  const { text } = await inquirer.prompt(question);
+  const { text } = await ask(question, promptName);
   return text;
 };
 
@@ -60,9 +110,10 @@ const textInput = async (message = "Please Enter") => {
  * @param {string} [message="Please enter a number"] - The message to display.
  * @param {number} [min=-Infinity] - The minimum value.
  * @param {number} [max=Infinity] - The maximum value.
+ * @param {string} [promptName="number"] - Stable identifier reported with the prompt event.
  * @returns {Promise<number>} The entered number.
  */
-const numberInput = async (message = "Please enter a number", min = -Infinity, max = Infinity) => {
+const numberInput = async (message = "Please enter a number", min = -Infinity, max = Infinity, promptName = "number") => {
   const question = {
     type: "input",
     name: "number",
@@ -79,23 +130,24 @@ const numberInput = async (message = "Please enter a number", min = -Infinity, m
     },
   };
 
-  const { number } = await inquirer.prompt(question);
+  const { number } = await ask(question, promptName);
   return parseFloat(number);
 };
 
 /**
  * Prompts the user to answer with yes or no.
  * @param {string} [message="Please answer with yes or no"] - The message to display.
+ * @param {string} [promptName="confirm"] - Stable identifier reported with the prompt event.
  * @returns {Promise<boolean>} The user's response.
  */
-const booleanInput = async (message = "Please answer with yes or no") => {
+const booleanInput = async (message = "Please answer with yes or no", promptName = "confirm") => {
   const question = {
     type: "confirm",
     name: "confirm",
     message: message,
   };
 
-  const { confirm } = await inquirer.prompt(question);
+  const { confirm } = await ask(question, promptName);
   return confirm;
 };
 
@@ -103,9 +155,10 @@ const booleanInput = async (message = "Please answer with yes or no") => {
  * Prompts the user to select an option from a list.
  * @param {string} [message="Please select"] - The message to display.
  * @param {Array<string|Object>} [optionsArr=[]] - The list of options.
+ * @param {string} [promptName="select"] - Stable identifier reported with the prompt event.
  * @returns {Promise<string>} The selected option.
  */
-const selectInput = async (message = "Please select", optionsArr = []) => {
+const selectInput = async (message = "Please select", optionsArr = [], promptName = "select") => {
   // For environments that don't handle arrow keys well, use rawlist instead
   const question = {
     type: "rawlist",
@@ -114,7 +167,7 @@ const selectInput = async (message = "Please select", optionsArr = []) => {
     choices: optionsArr,
   };
 
-  const { input } = await inquirer.prompt(question);
+  const { input } = await ask(question, promptName);
   return input;
 };
 
@@ -134,7 +187,7 @@ const multipleChoice = async (message = "Please select multiple choices", option
     choices: optionsArr,
   };
 
-  const { input } = await inquirer.prompt(question);
+  const { input } = await ask(question);
   return input;
 };
 
@@ -186,8 +239,11 @@ const downloadOptionInput = async () => {
 };
 
 module.exports = {
+  setPromptProvider,
+  getPromptProvider,
   textInput,
   otpInput,
+  passwordInput,
   mobileNumberInput,
   numberInput,
   booleanInput,
@@ -0,0 +1,138 @@
+// Machine-readable event stream between the downloader and the bot.
+// Events travel over the Node IPC channel (process.send) so they never mix
+// with the human readable console output on stdout. Answers to PROMPT
+// events travel back the same way.
+
+const EVENT_CHANNEL = "tdl:event";
+const ANSWER_CHANNEL = "tdl:answer";
+
+// Define event types
+const EVENT_TYPES = {
+  JOB_STARTED: "job_started",
+  MESSAGES_QUEUED: "messages_queued",
+  FILE_STARTED: "file_started",
+  FILE_PROGRESS: "file_progress",
+  FILE_COMPLETED: "file_completed",
+  FILE_UPLOADED: "file_uploaded",
+  FILE_FAILED: "file_failed",
+  BATCH_DONE: "batch_done",
+  FOLLOWING: "following",
+  PROMPT: "prompt",
+  AUTH_STATE: "auth_state",
+  JOB_FINISHED: "job_finished",
+  JOB_ERROR: "job_error",
+};
+
+// Define authentication states reported with AUTH_STATE events
+const AUTH_STATES = {
+  CODE_SENT: "code_sent",
+  LOGGED_IN: "logged_in",
+  PASSWORD_INVALID: "password_invalid",
+  SESSION_INVALID: "session_invalid",
+  SESSION_CREATED: "session_created",
+  QR_CODE: "qr_code",
+  FAILED: "failed",
+};
+
+// Minimum interval between FILE_PROGRESS events for the same file
+const PROGRESS_EVENT_INTERVAL = 2000;
+const lastProgressEvent = new Map();
+
+/**
+ * Checks whether the process was spawned with an IPC channel to listen on.
+ * @returns {boolean} True when events can be delivered.
+ */
+const hasEventChannel = () =>
+  typeof process.send === "function" && process.connected === true;
+
+/**
+ * Emits an event to the parent process. Silently does nothing when the
+ * downloader runs standalone in a terminal.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} [payload={}] - Event specific data.
+ */
+const emitEvent = (type, payload = {}) => {
+  if (!hasEventChannel()) return;
+
+  try {
+    process.send({
+      channel: EVENT_CHANNEL,
+      event: { type, timestamp: Date.now(), ...payload },
+    });
+  } catch (_) {
+    // Parent went away, nothing to report to
+  }
+};
+
+/**
+ * Emits a FILE_PROGRESS event, throttled per message so a fast download
+ * does not flood the channel.
+ * @param {number} messageId - The message being downloaded.
+ * @param {Object} payload - Progress data (downloaded, total, speedMbps...).
+ */
+const emitProgress = (messageId, payload) => {
+  const now = Date.now();
+  const done = payload.total > 0 && payload.downloaded >= payload.total;
+  if (!done && now - (lastProgressEvent.get(messageId) || 0) < PROGRESS_EVENT_INTERVAL) {
+    return;
+  }
+
+  if (done) {
+    lastProgressEvent.delete(messageId);
+  } else {
+    lastProgressEvent.set(messageId, now);
+  }
+  emitEvent(EVENT_TYPES.FILE_PROGRESS, { messageId, ...payload });
+};
+
+/**
+ * Checks whether an IPC message received from the child is a job event.
+ * @param {Object} message - The raw IPC message.
+ * @returns {boolean} True if the message carries an event.
+ */
+const isJobEvent = (message) =>
+  Boolean(message && message.channel === EVENT_CHANNEL && message.event);
+
+/**
+ * Builds the IPC message answering a PROMPT event, for the parent to send
+ * with child.send().
+ * @param {number} id - ID of the PROMPT event.
+ * @param {*} value - The answer: true/false, a choice value, or text.
+ * @returns {Object} The IPC message.
+ */
+const createPromptAnswer = (id, value) => ({ channel: ANSWER_CHANNEL, answer: { id, value } });
+
+/**
+ * Listens for answers to PROMPT events sent by the parent process.
+ * @param {Function} listener - Called with (id, value) for every answer.
+ */
+const onPromptAnswer = (listener) => {
+  process.on("message", (message) => {
+    if (message && message.channel === ANSWER_CHANNEL && message.answer) {
+      listener(message.answer.id, message.answer.value);
+    }
+  });
+};
+
+/**
+ * Listens for the parent process closing the IPC channel, which happens
+ * when the bot exits or crashes.
+ * @param {Function} listener - Called once when the channel is gone.
+ */
+const onEventChannelClosed = (listener) => {
+  process.once("disconnect", listener);
+};
+
+module.exports = {
+  EVENT_CHANNEL,
+  ANSWER_CHANNEL,
+  EVENT_TYPES,
+  AUTH_STATES,
+  hasEventChannel,
+  emitEvent,
+  emitProgress,
+  isJobEvent,
+  createPromptAnswer,
+  onPromptAnswer,
+  onEventChannelClosed,
+};
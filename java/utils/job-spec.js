@@ -0,0 +1,336 @@
+// Headless jobs: every answer of the download prompts given up front as
+// command-line flags and/or a JSON job spec file (--job=path). Flags win
+// over the file. Everything is validated before logging in, so a cron job
+// fails right away with all of its mistakes instead of waiting on a prompt.
+
+const fs = require("fs");
+const path = require("path");
+const { MEDIA_TYPES, parseMessageIdRanges } = require("./helper");
+const { parseChatLink } = require("./link-parser");
+const { FILTER_FIELDS, isSkipped, validateFilter, pickFilters } = require("./message-filters");
+const { parseCaptionRules } = require("./caption-rules");
+
+// Options a job spec may set, with their help text
+const JOB_OPTIONS = [
+  { key: "channel", syntax: "--channel=LINK", description: "source: t.me link, @username or chat ID (a message link starts from that post)" },
+  { key: "mode", syntax: "--mode=full|specific|toEnd", description: "all messages, only --ids, or from --from to the end (default full)" },
+  { key: "from", syntax: "--from=ID", description: "first message of a toEnd job" },
+  { key: "ids", syntax: "--ids=100-250,300", description: "messages of a specific job" },
+  { key: "types", syntax: "--types=video,pdf,.mkv", description: "media types and .extensions to keep (default all)" },
+  { key: "target", syntax: "--target=LINK,LINK", description: "mirror to these chats, omit to only download" },
+  { key: "output", syntax: "--output=DIR", description: "download folder, default export/<channelId> in the workspace" },
+  { key: "job", syntax: "--job=FILE.json", description: "read any of these options from a JSON file" },
+];
+
+const DOWNLOAD_MODES = ["full", "specific", "toEnd"];
+const TRANSFER_MODES = ["auto", "reupload"];
+const BOOLEAN_VALUES = { true: true, y: true, yes: true, false: false, n: false, no: false };
+
+// Type names accepted by --types besides .extensions
+const FILE_TYPES = [...Object.values(MEDIA_TYPES), "voice", "pdf", "zip", "album", "all"];
+
+// Keys a job spec file may contain
+const SPEC_KEYS = [
+  ...JOB_OPTIONS.map((option) => option.key).filter((key) => key !== "job"),
+  ...FILTER_FIELDS.map((field) => field.key),
+  "content",
+  "filters",
+  "captionRules",
+  "transfer",
+  "hideSender",
+  "syncEdits",
+  "syncDeletes",
+  "follow",
+];
+
+/**
+ * Checks whether the options ask for a headless job.
+ * @param {Object} options - Command-line options.
+ * @returns {boolean} True when --channel or --job is given.
+ */
+const hasJobOptions = (options = {}) => Boolean(options.channel || options.job);
+
+/**
+ * Reads a job spec file.
+ * @param {string} filePath - The JSON file, relative to the working directory.
+ * @returns {Object} The spec.
+ */
+const readJobFile = (filePath) => {
+  const fullPath = path.resolve(String(filePath));
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read job spec ${fullPath}: ${error.message}`);
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error(`Job spec ${fullPath} must be a JSON object`);
+  }
+  return spec;
+};
+
+/**
+ * Splits a list option given as a comma-separated string or an array.
+ * @param {string|Array} value - The raw value.
+ * @returns {Array<string>} The trimmed, non-empty items.
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Parses a chat reference option.
+ * @param {string} name - Option name, for errors.
+ * @param {*} value - The raw value.
+ * @returns {Object} { input, reference } where reference is from parseChatLink.
+ */
+const parseChatOption = (name, value) => {
+  const input = String(value).trim();
+  const reference = parseChatLink(input);
+  if (!reference) {
+    throw new Error(`--${name}: "${input}" is not a t.me link, @username or chat ID`);
+  }
+  return { input, reference };
+};
+
+/**
+ * Parses a yes/no option.
+ * @param {string} name - Option name, for errors.
+ * @param {*} value - true/false, or "y", "yes", "true", "n", "no", "false".
+ * @returns {boolean} The value.
+ */
+const parseBoolean = (name, value) => {
+  if (typeof value === "boolean") return value;
+  const parsed = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+  if (parsed === undefined) {
+    throw new Error(`--${name}: "${value}" is not yes or no`);
+  }
+  return parsed;
+};
+
+/**
+ * Turns a --types list into the downloadableFiles map of the downloader.
+ * @param {string|Array} value - Type names and .extensions.
+ * @returns {Object} Map of type/extension to true.
+ */
+const parseFileTypes = (value) => {
+  const files = {};
+  for (const item of toList(value)) {
+    const type = item.toLowerCase();
+    if (/^\.[a-z0-9]{1,10}$/.test(type)) {
+      files[type.slice(1)] = true;
+    } else if (FILE_TYPES.includes(type)) {
+      files[type] = true;
+    } else {
+      throw new Error(`--types: "${item}" is not one of ${FILE_TYPES.join(", ")} or a .extension`);
+    }
+  }
+  if (Object.keys(files).length === 0) {
+    throw new Error("--types: no types given");
+  }
+  return files;
+};
+
+/**
+ * Merges the job spec file with the command-line flags and validates every
+ * option, collecting all problems into one error. Options that are not
+ * given take the default a user skipping the prompt would get.
+ * @param {Object} options - Command-line options, possibly with job=<file>.
+ * @returns {Object} The job: { channel, mode, from, ids, downloadableFiles,
+ * targets, output, filters, captionRules, transfer, hideSender, syncEdits,
+ * syncDeletes, follow }; channel and targets are { input, reference }.
+ */
+const parseJobSpec = (options = {}) => {
+  const spec = options.job ? readJobFile(options.job) : {};
+  const unknown = Object.keys(spec).filter((key) => !SPEC_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown job spec keys: ${unknown.join(", ")} (allowed: ${SPEC_KEYS.join(", ")})`);
+  }
+
+  const values = { ...spec };
+  Object.keys(options).forEach((key) => {
+    if (SPEC_KEYS.includes(key)) values[key] = options[key];
+  });
+
+  const errors = [];
+  // Runs one check, recording its error instead of stopping at the first
+  const check = (parse) => {
+    try {
+      return parse();
+    } catch (error) {
+      errors.push(error.message);
+      return null;
+    }
+  };
+  const given = (key) => values[key] !== undefined && values[key] !== null && values[key] !== "";
+
+  const job = {
+    channel: null,
+    mode: "full",
+    from: 0,
+    ids: null,
+    downloadableFiles: { all: true },
+    targets: [],
+    output: null,
+    filters: null,
+    captionRules: null,
+    transfer: "reupload",
+    hideSender: false,
+    syncEdits: false,
+    syncDeletes: false,
+    follow: false,
+  };
+
+  if (!given("channel") || values.channel === true) {
+    errors.push("--channel: the source channel is required");
+  } else {
+    job.channel = check(() => parseChatOption("channel", values.channel));
+  }
+
+  if (given("mode")) {
+    const mode = DOWNLOAD_MODES.find((name) => name.toLowerCase() === String(values.mode).toLowerCase());
+    if (mode) {
+      job.mode = mode;
+    } else {
+      errors.push(`--mode: "${values.mode}" is not one of ${DOWNLOAD_MODES.join(", ")}`);
+    }
+  } else if (given("ids")) {
+    job.mode = "specific";
+  } else if (given("from") || (job.channel && job.channel.reference.messageId)) {
+    job.mode = "toEnd";
+  }
+
+  if (job.mode === "specific") {
+    if (!given("ids")) {
+      errors.push("--ids: a specific job needs message IDs");
+    } else {
+      job.ids = check(() => {
+        try {
+          return parseMessageIdRanges(toList(values.ids).join(","));
+        } catch (error) {
+          throw new Error(`--ids: ${error.message}`);
+        }
+      });
+    }
+  } else if (given("ids")) {
+    errors.push(`--ids: only used by specific jobs, not ${job.mode}`);
+  }
+
+  if (job.mode === "toEnd") {
+    const from = given("from") ? values.from : job.channel && job.channel.reference.messageId;
+    if (!from) {
+      errors.push("--from: a toEnd job needs a starting message ID");
+    } else if (!/^\d+$/.test(String(from).trim()) || Number(from) < 1) {
+      errors.push(`--from: "${from}" is not a message ID`);
+    } else {
+      job.from = Number(from);
+    }
+  } else if (given("from")) {
+    errors.push(`--from: only used by toEnd jobs, not ${job.mode}`);
+  }
+
+  if (given("types")) {
+    job.downloadableFiles = check(() => parseFileTypes(values.types)) || job.downloadableFiles;
+  }
+
+  if (given("target")) {
+    job.targets = toList(values.target)
+      .map((target) => check(() => parseChatOption("target", target)))
+      .filter(Boolean);
+    const inputs = job.targets.map((target) => target.input);
+    if (job.channel && inputs.includes(job.channel.input)) {
+      errors.push("--target: the source cannot be a target");
+    }
+    if (new Set(inputs).size !== inputs.length) {
+      errors.push("--target: a target is listed twice");
+    }
+  }
+
+  if (given("output")) {
+    const output = path.resolve(String(values.output));
+    if (fs.existsSync(output) && !fs.statSync(output).isDirectory()) {
+      errors.push(`--output: ${output} is not a folder`);
+    } else {
+      job.output = output;
+    }
+  }
+
+  // Filters may be nested under "filters" in the file, flags are flat
+  const { filters: nestedFilters, ...flat } = values;
+  const filterValues = { ...nestedFilters, ...flat };
+  const filterErrors = [...FILTER_FIELDS.map((field) => field.key), "content"]
+    .filter((key) => !isSkipped(filterValues[key]) && filterValues[key] !== true)
+    .map((key) => check(() => {
+      try {
+        validateFilter(key, filterValues[key]);
+        return true;
+      } catch (error) {
+        throw new Error(`--${key}: ${error.message}`);
+      }
+    }))
+    .filter((valid) => !valid);
+  if (filterErrors.length === 0) {
+    job.filters = pickFilters(filterValues);
+  }
+
+  const uploading = job.targets.length > 0;
+  const uploadOnly = ["captionRules", "transfer", "hideSender", "syncEdits", "syncDeletes"].filter(given);
+  if (!uploading && uploadOnly.length > 0) {
+    errors.push(`${uploadOnly.map((key) => `--${key}`).join(", ")}: only used when mirroring to a --target`);
+  }
+
+  if (given("captionRules") && values.captionRules !== true) {
+    check(() => {
+      try {
+        if (parseCaptionRules(values.captionRules).length > 0) {
+          job.captionRules = String(values.captionRules);
+        }
+      } catch (error) {
+        throw new Error(`--captionRules: ${error.message}`);
+      }
+    });
+  }
+
+  if (given("transfer")) {
+    if (TRANSFER_MODES.includes(values.transfer)) {
+      job.transfer = values.transfer;
+    } else {
+      errors.push(`--transfer: "${values.transfer}" is not one of ${TRANSFER_MODES.join(", ")}`);
+    }
+  }
+  if (job.captionRules && job.transfer === "auto") {
+    errors.push("--transfer: posts with caption rules are always re-uploaded, auto cannot be used");
+  }
+
+  ["hideSender", "syncEdits", "syncDeletes", "follow"].forEach((key) => {
+    if (given(key)) job[key] = check(() => parseBoolean(key, values[key])) || false;
+  });
+  if (job.hideSender && job.transfer !== "auto") {
+    errors.push("--hideSender: only used with --transfer=auto");
+  }
+  if (job.follow && job.mode === "specific") {
+    errors.push("--follow: a specific job has nothing new to follow");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid job:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+  return job;
+};
+
+/**
+ * Describes the job options for --help.
+ * @returns {Array<string>} One line per option.
+ */
+const describeJobOptions = () =>
+  JOB_OPTIONS.map((option) => `  ${option.syntax.padEnd(28)} ${option.description}`);
+
+module.exports = {
+  JOB_OPTIONS,
+  FILE_TYPES,
+  hasJobOptions,
+  parseJobSpec,
+  parseFileTypes,
+  describeJobOptions,
+};
@@ -0,0 +1,94 @@
+// Usernames Telegram reserves for its own t.me paths
+const RESERVED_PATHS = ["joinchat", "addstickers", "addemoji", "share", "proxy", "socks", "login", "c", "s"];
+
+const USERNAME = "[a-zA-Z][a-zA-Z0-9_]{3,31}";
+const TME_HOST = "(?:https?:\\/\\/)?(?:www\\.)?(?:t|telegram)\\.(?:me|dog)\\/";
+
+// https://t.me/c/123456/789 (or /c/123456/<topic>/789 for forum topics)
+const PRIVATE_LINK = new RegExp(`^${TME_HOST}c\\/(\\d+)(?:\\/(\\d+))?(?:\\/(\\d+))?\\/?(?:\\?.*)?$`, "i");
+// https://t.me/somechannel/1234, https://t.me/s/somechannel/1234
+const PUBLIC_LINK = new RegExp(`^${TME_HOST}(?:s\\/)?(${USERNAME})(?:\\/(\\d+))?(?:\\/(\\d+))?\\/?(?:\\?.*)?$`, "i");
+const MENTION = new RegExp(`^@(${USERNAME})$`);
+const CHAT_ID = /^-?\d+$/;
+
+/**
+ * Reads the query parameters of a tg:// link.
+ * @param {string} input - The link.
+ * @param {string} kind - The tg:// link kind, e.g. "resolve".
+ * @returns {URLSearchParams|null} The parameters, or null if it is not a tg:// link of that kind.
+ */
+const getTgLinkParams = (input, kind) => {
+  const prefix = `tg://${kind}?`;
+  if (!input.toLowerCase().startsWith(prefix)) return null;
+  return new URLSearchParams(input.substring(prefix.length));
+};
+
+/**
+ * Parses a message ID part of a link.
+ * @param {string} [value] - The raw value.
+ * @returns {number|null} The message ID, or null when absent.
+ */
+const toMessageId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Parses a chat reference typed by the user: public and private t.me
+ * message links, tg://resolve and tg://privatepost links, @usernames and
+ * numeric chat IDs. Private links are mapped to the marked channel ID
+ * (-100 prefix) used by the client.
+ * @param {string} input - The text to parse.
+ * @returns {Object|null} { username } or { channelId }, plus the linked messageId (or null); null if not a chat reference.
+ */
+const parseChatLink = (input) => {
+  if (!input || typeof input !== "string") return null;
+  const text = input.trim();
+
+  let match = text.match(PRIVATE_LINK);
+  if (match) {
+    return {
+      channelId: `-100${match[1]}`,
+      messageId: toMessageId(match[3] || match[2]),
+    };
+  }
+
+  match = text.match(PUBLIC_LINK);
+  if (match && !RESERVED_PATHS.includes(match[1].toLowerCase())) {
+    return {
+      username: match[1],
+      messageId: toMessageId(match[3] || match[2]),
+    };
+  }
+
+  let params = getTgLinkParams(text, "resolve");
+  if (params && params.get("domain")) {
+    return {
+      username: params.get("domain"),
+      messageId: toMessageId(params.get("post")),
+    };
+  }
+
+  params = getTgLinkParams(text, "privatepost");
+  if (params && CHAT_ID.test(params.get("channel") || "")) {
+    return {
+      channelId: `-100${params.get("channel")}`,
+      messageId: toMessageId(params.get("post")),
+    };
+  }
+
+  match = text.match(MENTION);
+  if (match) {
+    return { username: match[1], messageId: null };
+  }
+
+  if (CHAT_ID.test(text)) {
+    return { channelId: text, messageId: null };
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseChatLink,
+};
@@ -0,0 +1,209 @@
+// Message filters applied to a channel before anything is downloaded.
+// A filter set is kept as the plain strings the user typed so it can be
+// reported to the bot and replayed on resume; createMessageFilter turns it
+// into a predicate.
+
+// Filter fields in the order they are asked, with the prompt that asks them
+const FILTER_FIELDS = [
+  { key: "dateFrom", prompt: "filterDateFrom", question: "Only messages ON or AFTER date (YYYY-MM-DD)" },
+  { key: "dateTo", prompt: "filterDateTo", question: "Only messages ON or BEFORE date (YYYY-MM-DD)" },
+  { key: "minSize", prompt: "filterMinSize", question: "Only files AT LEAST this size (e.g. 50MB)" },
+  { key: "maxSize", prompt: "filterMaxSize", question: "Only files AT MOST this size (e.g. 2GB)" },
+  { key: "include", prompt: "filterInclude", question: "Only captions matching keyword/regex (e.g. #lecture)" },
+  { key: "exclude", prompt: "filterExclude", question: "Skip captions matching keyword/regex" },
+  { key: "senders", prompt: "filterSenders", question: "Only from sender IDs (comma-separated)" },
+];
+
+// Which messages to keep by content
+const CONTENT_FILTERS = [
+  { name: "Any message", value: "any" },
+  { name: "Only messages with media", value: "media" },
+  { name: "Only text messages (no media)", value: "text" },
+];
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+// Answers that leave a filter unset
+const SKIP_ANSWERS = ["", "-", "skip", "none"];
+
+/**
+ * Checks whether an answer leaves a filter unset.
+ * @param {*} value - The raw answer.
+ * @returns {boolean} True when the filter should not be applied.
+ */
+const isSkipped = (value) =>
+  value === undefined || value === null || SKIP_ANSWERS.includes(String(value).trim().toLowerCase());
+
+/**
+ * Parses a date filter into a timestamp in seconds. Plain dates cover the
+ * whole day (UTC), so "dateTo=2024-03-31" keeps posts from March 31st.
+ * @param {string} value - YYYY-MM-DD or a full ISO date.
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day.
+ * @returns {number} Unix timestamp in seconds.
+ */
+const parseDate = (value, endOfDay) => {
+  const text = String(value).trim();
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(isPlainDate ? `${text}T00:00:00Z` : text);
+  if (isNaN(time)) {
+    throw new Error(`"${text}" is not a date (use YYYY-MM-DD)`);
+  }
+  return Math.floor(time / 1000) + (isPlainDate && endOfDay ? 86399 : 0);
+};
+
+/**
+ * Parses a size filter such as "50MB", "1.5 GB" or "2048" (bytes).
+ * @param {string} value - The size.
+ * @returns {number} Size in bytes.
+ */
+const parseSize = (value) => {
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) {
+    throw new Error(`"${value}" is not a size (e.g. 500KB, 50MB, 2GB)`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || "B"]);
+};
+
+/**
+ * Compiles a caption pattern, case-insensitive.
+ * @param {string} value - A keyword or regular expression.
+ * @returns {RegExp} The pattern.
+ */
+const parsePattern = (value) => {
+  try {
+    return new RegExp(String(value).trim(), "i");
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid pattern: ${error.message}`);
+  }
+};
+
+/**
+ * Parses a comma-separated list of sender IDs. Channel IDs may be given
+ * with or without their -100 prefix.
+ * @param {string} value - The IDs.
+ * @returns {Set<string>} The IDs, without -100 prefixes.
+ */
+const parseSenders = (value) => {
+  const ids = String(value).split(/[,\s]+/).filter(Boolean);
+  const invalid = ids.find((id) => !/^-?\d+$/.test(id));
+  if (invalid) {
+    throw new Error(`"${invalid}" is not a sender ID`);
+  }
+  return new Set(ids.map((id) => id.replace(/^-100/, "").replace(/^-/, "")));
+};
+
+/**
+ * Validates a single filter answer, throwing a readable error if invalid.
+ * @param {string} key - One of the FILTER_FIELDS keys or "content".
+ * @param {string} value - The answer.
+ */
+const validateFilter = (key, value) => {
+  if (isSkipped(value)) return;
+
+  switch (key) {
+    case "dateFrom":
+    case "dateTo":
+      parseDate(value, key === "dateTo");
+      break;
+    case "minSize":
+    case "maxSize":
+      parseSize(value);
+      break;
+    case "include":
+    case "exclude":
+      parsePattern(value);
+      break;
+    case "senders":
+      parseSenders(value);
+      break;
+    case "content":
+      if (!CONTENT_FILTERS.some((filter) => filter.value === value)) {
+        throw new Error(`"${value}" is not one of ${CONTENT_FILTERS.map((f) => f.value).join(", ")}`);
+      }
+      break;
+  }
+};
+
+/**
+ * Picks the filter options out of a set of options (e.g. command-line
+ * flags like --dateFrom=2024-03-01 --minSize=50MB --content=media),
+ * validating each one.
+ * @param {Object} options - The options.
+ * @returns {Object|null} The filter set, or null if no filter was given.
+ */
+const pickFilters = (options = {}) => {
+  const source = options.filters || options;
+  const filters = {};
+
+  for (const key of [...FILTER_FIELDS.map((field) => field.key), "content"]) {
+    if (isSkipped(source[key]) || source[key] === true) continue;
+    validateFilter(key, source[key]);
+    filters[key] = String(source[key]).trim();
+  }
+
+  if (filters.content === "any") delete filters.content;
+  return Object.keys(filters).length > 0 ? filters : null;
+};
+
+/**
+ * Builds a predicate from a filter set.
+ * @param {Object|null} filters - The filter set.
+ * @returns {Function} (message, size) => boolean, size being the media size in bytes (0 if none).
+ */
+const createMessageFilter = (filters) => {
+  if (!filters) return () => true;
+
+  const dateFrom = filters.dateFrom ? parseDate(filters.dateFrom, false) : null;
+  const dateTo = filters.dateTo ? parseDate(filters.dateTo, true) : null;
+  const minSize = filters.minSize ? parseSize(filters.minSize) : null;
+  const maxSize = filters.maxSize ? parseSize(filters.maxSize) : null;
+  const include = filters.include ? parsePattern(filters.include) : null;
+  const exclude = filters.exclude ? parsePattern(filters.exclude) : null;
+  const senders = filters.senders ? parseSenders(filters.senders) : null;
+
+  return (message, size = 0) => {
+    if (dateFrom !== null && message.date < dateFrom) return false;
+    if (dateTo !== null && message.date > dateTo) return false;
+
+    const hasMedia = Boolean(message.media);
+    if (filters.content === "media" && !hasMedia) return false;
+    if (filters.content === "text" && hasMedia) return false;
+
+    // A minimum size asks for files, so messages without one never match it
+    if (minSize !== null && (!hasMedia || size < minSize)) return false;
+    if (maxSize !== null && hasMedia && size > maxSize) return false;
+
+    const caption = message.message || "";
+    if (include && !include.test(caption)) return false;
+    if (exclude && exclude.test(caption)) return false;
+
+    if (senders) {
+      const senderId = message.senderId ? String(message.senderId).replace(/^-100/, "").replace(/^-/, "") : null;
+      if (!senderId || !senders.has(senderId)) return false;
+    }
+
+    return true;
+  };
+};
+
+/**
+ * Describes a filter set for logs and chat messages.
+ * @param {Object|null} filters - The filter set.
+ * @returns {string} One "key: value" pair per line, or "none".
+ */
+const describeFilters = (filters) => {
+  if (!filters) return "none";
+  return Object.entries(filters)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  CONTENT_FILTERS,
+  isSkipped,
+  validateFilter,
+  pickFilters,
+  createMessageFilter,
+  describeFilters,
+};
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { getWorkspaceDir } = require("./helper");
+
+const MAP_VERSION = 1;
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Persistent map from source message IDs to the IDs of their mirrored posts,
+ * one per source/target pair, stored as export/<sourceId>/message-map/<targetId>.json.
+ * Mirroring consults it to skip messages that are already in the target, to
+ * send replies to the target copy of the message they answer, and to carry
+ * later edits and deletions of the source over to the target.
+ */
+class MessageMap {
+  /**
+   * @param {string|number} sourceChannelId - The source channel.
+   * @param {string|number} targetChannelId - The target channel.
+   * @param {string} [folder] - Export folder of the source, defaults to export/<sourceId> in the workspace.
+   */
+  constructor(sourceChannelId, targetChannelId, folder = null) {
+    this.sourceChannelId = String(sourceChannelId);
+    this.targetChannelId = String(targetChannelId);
+    this.filePath = path.join(
+      folder || path.join(getWorkspaceDir(), "export", this.sourceChannelId),
+      "message-map",
+      `${this.targetChannelId}.json`,
+    );
+    this.ids = {};
+    // Edit date of the source version each post was mirrored from
+    this.editDates = {};
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Loads the map from disk, starting empty if it is missing or unreadable.
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        this.ids = data.ids || {};
+        this.editDates = data.editDates || {};
+      }
+    } catch (error) {
+      logger.warn(`Could not read message map ${this.filePath}: ${error.message}`);
+      this.ids = {};
+      this.editDates = {};
+    }
+  }
+
+  /**
+   * Writes the map, replacing the file atomically.
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      const data = {
+        version: MAP_VERSION,
+        sourceChannelId: this.sourceChannelId,
+        targetChannelId: this.targetChannelId,
+        updatedAt: new Date().toISOString(),
+        ids: this.ids,
+        editDates: this.editDates,
+      };
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.warn(`Could not write message map ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Coalesces bursts of updates into a single write.
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Gets the target copy of a source message.
+   * @param {number} sourceMessageId - The source message.
+   * @returns {number|null} The target message ID, or null if it was never mirrored.
+   */
+  get(sourceMessageId) {
+    return this.ids[sourceMessageId] || null;
+  }
+
+  /**
+   * Checks whether a source message was already mirrored to the target.
+   * @param {number} sourceMessageId - The source message.
+   * @returns {boolean} True when it has a target copy.
+   */
+  has(sourceMessageId) {
+    return Boolean(this.ids[sourceMessageId]);
+  }
+
+  /**
+   * Records the target copy of a source message. Written on a timer, the
+   * downloader saves the map at the end of every batch.
+   * @param {number} sourceMessageId - The source message.
+   * @param {number} targetMessageId - The mirrored post.
+   * @param {number} [editDate=0] - Edit date of the mirrored source version, 0 if never edited.
+   */
+  set(sourceMessageId, targetMessageId, editDate = 0) {
+    if (!targetMessageId) return;
+    this.ids[sourceMessageId] = targetMessageId;
+    this.editDates[sourceMessageId] = editDate || 0;
+    this.scheduleSave();
+  }
+
+  /**
+   * Gets the edit date of the source version a post was mirrored from.
+   * @param {number} sourceMessageId - The source message.
+   * @returns {number} The edit date, 0 if the source was not edited.
+   */
+  getEditDate(sourceMessageId) {
+    return this.editDates[sourceMessageId] || 0;
+  }
+
+  /**
+   * Records that a mirrored post now matches a newer source version.
+   * @param {number} sourceMessageId - The source message.
+   * @param {number} editDate - Edit date of that version.
+   */
+  setEditDate(sourceMessageId, editDate) {
+    if (!this.ids[sourceMessageId]) return;
+    this.editDates[sourceMessageId] = editDate || 0;
+    this.scheduleSave();
+  }
+
+  /**
+   * Forgets the target copy of a source message, e.g. after deleting it.
+   * @param {number} sourceMessageId - The source message.
+   */
+  delete(sourceMessageId) {
+    delete this.ids[sourceMessageId];
+    delete this.editDates[sourceMessageId];
+    this.scheduleSave();
+  }
+
+  /**
+   * Lists the mirrored source messages.
+   * @returns {Array<number>} Their IDs, ascending.
+   */
+  getSourceIds() {
+    return Object.keys(this.ids)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Number of mirrored messages.
+   * @returns {number} The map size.
+   */
+  get size() {
+    return Object.keys(this.ids).length;
+  }
+}
+
+module.exports = MessageMap;
@@ -0,0 +1,236 @@
+// Prompt providers answer the questions of input-helper. Inquirer asks in
+// the terminal, a scripted provider answers from a JSON file for automation
+// and a remote provider asks the bot over the event channel. Whatever the
+// source, answers are checked against the question (choices, yes/no and its
+// validate function) and come back with the types inquirer would return.
+
+const fs = require("fs");
+const path = require("path");
+const inquirer = require("inquirer");
+const {
+  EVENT_TYPES,
+  emitEvent,
+  hasEventChannel,
+  onPromptAnswer,
+  onEventChannelClosed,
+} = require("./job-events");
+
+// Environment variable naming an answers file for the scripted provider
+const ANSWERS_FILE_ENV = "PROMPT_ANSWERS_FILE";
+
+const CONFIRM_ANSWERS = { true: true, y: true, yes: true, false: false, n: false, no: false };
+
+/**
+ * Normalizes inquirer choices into { name, value } pairs, keeping the dialog
+ * type of dialog choices so a remote picker can filter on it.
+ * @param {Array<string|Object>} [choices] - The inquirer choices.
+ * @returns {Array<Object>|undefined} The normalized choices.
+ */
+const normalizeChoices = (choices) => {
+  if (!Array.isArray(choices)) return undefined;
+
+  return choices.map((choice) =>
+    typeof choice === "object" && choice !== null
+      ? {
+          name: choice.name,
+          value: choice.value !== undefined ? choice.value : choice.name,
+          ...(choice.type ? { type: choice.type } : {}),
+        }
+      : { name: String(choice), value: choice }
+  );
+};
+
+/**
+ * Finds the choice an answer picks, by value first and then by name.
+ * @param {Array} choices - The inquirer choices.
+ * @param {*} value - The answer.
+ * @returns {*} Value of the picked choice.
+ */
+const findChoice = (choices, value) => {
+  const normalized = normalizeChoices(choices) || [];
+  const text = String(value).trim();
+  const choice =
+    normalized.find((item) => String(item.value) === text) ||
+    normalized.find((item) => String(item.name).toLowerCase() === text.toLowerCase());
+
+  if (!choice) {
+    throw new Error(`"${text}" is not one of the choices`);
+  }
+  return choice.value;
+};
+
+/**
+ * Checks an answer against its question and converts it to what inquirer
+ * would have returned: a boolean for confirm, the choice value for lists,
+ * an array of values for checkboxes and a string otherwise.
+ * @param {Object} question - The inquirer question.
+ * @param {*} value - The raw answer.
+ * @returns {Promise<*>} The answer.
+ */
+const resolveAnswer = async (question, value) => {
+  let answer;
+  switch (question.type) {
+    case "confirm":
+      answer = typeof value === "boolean" ? value : CONFIRM_ANSWERS[String(value).trim().toLowerCase()];
+      if (answer === undefined) {
+        throw new Error(`"${value}" is not yes or no`);
+      }
+      break;
+    case "list":
+    case "rawlist":
+      answer = findChoice(question.choices, value);
+      break;
+    case "checkbox":
+      answer = (Array.isArray(value) ? value : String(value).split(","))
+        .filter((item) => String(item).trim())
+        .map((item) => findChoice(question.choices, item));
+      break;
+    default:
+      answer = value === undefined || value === null ? "" : String(value);
+  }
+
+  if (typeof question.validate === "function") {
+    const result = await question.validate(answer);
+    if (result !== true) {
+      throw new Error(typeof result === "string" ? result : "Invalid answer");
+    }
+  }
+  return answer;
+};
+
+/**
+ * Asks in the terminal.
+ * @returns {Object} The provider.
+ */
+const createInquirerProvider = () => ({
+  name: "inquirer",
+  prompt: async (question) => (await inquirer.prompt(question))[question.name],
+});
+
+/**
+ * Answers from a map of prompt names to answers. A list answers a prompt
+ * asked several times, one entry per time (a checkbox takes a list of
+ * lists). Prompts without an answer take the question's default or fail,
+ * since nobody is there to ask.
+ * @param {Object} answers - Prompt name to answer.
+ * @returns {Object} The provider.
+ */
+const createScriptedProvider = (answers) => ({
+  name: "scripted",
+  prompt: async (question, promptName) => {
+    const saved = answers[promptName];
+    let value = saved;
+    if (Array.isArray(saved) && (question.type !== "checkbox" || Array.isArray(saved[0]))) {
+      value = saved.shift();
+      if (saved.length === 0) delete answers[promptName];
+    }
+
+    if (value === undefined) {
+      if (question.default === undefined) {
+        throw new Error(`No answer for prompt "${promptName}" (${question.message})`);
+      }
+      value = question.default;
+    }
+
+    try {
+      return await resolveAnswer(question, value);
+    } catch (error) {
+      throw new Error(`Answer for prompt "${promptName}" is invalid: ${error.message}`);
+    }
+  },
+});
+
+/**
+ * Reads the answers of a scripted provider.
+ * @param {string} filePath - The JSON file, relative to the working directory.
+ * @returns {Object} Prompt name to answer.
+ */
+const readAnswersFile = (filePath) => {
+  const fullPath = path.resolve(String(filePath));
+  let answers;
+  try {
+    answers = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read answers file ${fullPath}: ${error.message}`);
+  }
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    throw new Error(`Answers file ${fullPath} must be a JSON object of prompt names to answers`);
+  }
+  return answers;
+};
+
+/**
+ * Asks the parent process (the bot). Every prompt is sent as a PROMPT event
+ * with an ID and waits for the answer with that ID. An invalid answer sends
+ * the prompt again with the reason in "error". Once the bot disconnects,
+ * waiting and later prompts fail since nobody is left to answer them.
+ * @returns {Object} The provider.
+ */
+const createRemoteProvider = () => {
+  const pending = new Map();
+  let nextId = 0;
+  let closed = false;
+
+  onEventChannelClosed(() => {
+    closed = true;
+    pending.forEach((request) => request.reject(new Error("The bot disconnected before answering")));
+    pending.clear();
+  });
+
+  onPromptAnswer(async (id, value) => {
+    const request = pending.get(id);
+    if (!request) return;
+
+    try {
+      const answer = await resolveAnswer(request.question, value);
+      pending.delete(id);
+      request.resolve(answer);
+    } catch (error) {
+      emitEvent(EVENT_TYPES.PROMPT, { ...request.event, error: error.message });
+    }
+  });
+
+  return {
+    name: "remote",
+    prompt: (question, promptName) =>
+      new Promise((resolve, reject) => {
+        if (closed) {
+          reject(new Error(`The bot disconnected, prompt "${promptName}" cannot be asked`));
+          return;
+        }
+
+        const event = {
+          id: ++nextId,
+          name: promptName,
+          promptType: question.type,
+          message: question.message,
+          choices: normalizeChoices(question.choices),
+        };
+        pending.set(event.id, { question, event, resolve, reject });
+        emitEvent(EVENT_TYPES.PROMPT, event);
+      }),
+  };
+};
+
+/**
+ * Picks the provider for this process: the answers file named by
+ * PROMPT_ANSWERS_FILE, the bot when it spawned us, the terminal otherwise.
+ * @returns {Object} The provider.
+ */
+const createDefaultProvider = () => {
+  if (process.env[ANSWERS_FILE_ENV]) {
+    return createScriptedProvider(readAnswersFile(process.env[ANSWERS_FILE_ENV]));
+  }
+  return hasEventChannel() ? createRemoteProvider() : createInquirerProvider();
+};
+
+module.exports = {
+  ANSWERS_FILE_ENV,
+  normalizeChoices,
+  resolveAnswer,
+  createInquirerProvider,
+  createScriptedProvider,
+  createRemoteProvider,
+  createDefaultProvider,
+  readAnswersFile,
+};
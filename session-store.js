@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-backed store for per-user bot state, so sessions and job progress
+// survive restarts and redeploys. Point BOT_STATE_FILE at a persistent disk
+// on hosts where the working directory is wiped on deploy.
+class SessionStore {
+    constructor(filePath = process.env.BOT_STATE_FILE || './data/bot-state.json', saveDelayMs = 1000) {
+        this.filePath = filePath;
+        this.saveDelayMs = saveDelayMs;
+        this.records = {};
+        this.saveTimer = null;
+    }
+
+    // Load saved records from disk, starting empty if the file is missing or corrupt
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.records = data.users || {};
+                console.log(`💾 Loaded ${Object.keys(this.records).length} saved sessions from ${this.filePath}`);
+            }
+        } catch (error) {
+            console.error(`❌ Could not read session store ${this.filePath}:`, error.message);
+            this.records = {};
+        }
+        return this.records;
+    }
+
+    // Replace the record for a user and schedule a write
+    set(userId, record) {
+        this.records[userId] = { ...record, updatedAt: new Date().toISOString() };
+        this.scheduleSave();
+    }
+
+    // Forget a user and schedule a write
+    remove(userId) {
+        delete this.records[userId];
+        this.scheduleSave();
+    }
+
+    // Coalesce bursts of updates into a single write
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, this.saveDelayMs);
+    }
+
+    // Write all records now. The file is replaced atomically so a crash
+    // mid-write never leaves a truncated store behind.
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            const data = { version: 1, savedAt: new Date().toISOString(), users: this.records };
+            // Records hold phone numbers and job details, keep them readable by the bot only
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            console.error(`❌ Could not write session store ${this.filePath}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = SessionStore;